@@ -0,0 +1,60 @@
+// Named permissions that roles grant. Routes check these with
+// requirePermission() instead of role names.
+const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:update': 'Edit user accounts',
+  'users:assign-role': 'Change a user\'s role',
+  'users:delete': 'Delete user accounts',
+  'users:deactivate': 'Activate and deactivate user accounts',
+  'users:unlock': 'Clear login lockouts',
+  'tickets:read': 'View all support tickets and write internal notes',
+  'tickets:respond': 'Reply to any ticket',
+  'tickets:update': 'Change ticket status',
+  'tickets:assign': 'Assign tickets to staff',
+  'tickets:supervise': 'Receive SLA escalation alerts',
+  'sla:manage': 'Manage SLA policies, business hours and holidays, and view SLA reports',
+  'routing:manage': 'Manage ticket assignment rules and agent routing settings',
+  'quotes:read': 'View quote requests',
+  'quotes:update': 'Update quote request status',
+  'plans:manage': 'Create and edit service plans',
+  'subscriptions:read': 'View all subscriptions',
+  'subscriptions:manage': 'Create, change and cancel any subscription',
+  'subscriptions:suspend': 'Review suspension flags and suspend or reinstate service',
+  'billing:run': 'Run billing for due subscriptions',
+  'bills:read': 'View overdue bills across accounts',
+  'bills:waive-fee': 'Waive late fees',
+  'payments:confirm': 'Confirm or reject cash and bank transfer payments',
+  'security:manage': 'Manage security policies such as required 2FA',
+  'roles:manage': 'Create and edit roles',
+  'audit:read': 'View the audit log'
+};
+
+// Roles created on startup when missing. Admin always has every permission
+// and, like the other built-in roles, can't be deleted.
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  support: {
+    description: 'Customer support staff',
+    permissions: [
+      'users:read',
+      'tickets:read',
+      'tickets:respond',
+      'tickets:update',
+      'tickets:assign',
+      'quotes:read',
+      'quotes:update'
+    ]
+  },
+  user: {
+    description: 'Customer',
+    permissions: []
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,49 @@
+// Policies created on startup when there are none. Urgent tickets run on
+// the clock; everything else only counts business hours.
+const DEFAULT_SLA_POLICIES = [
+  {
+    name: 'Urgent',
+    priority: 'urgent',
+    firstResponseMinutes: 30,
+    resolutionMinutes: 4 * 60,
+    businessHoursOnly: false
+  },
+  {
+    name: 'High',
+    priority: 'high',
+    firstResponseMinutes: 2 * 60,
+    resolutionMinutes: 2 * 9 * 60
+  },
+  {
+    name: 'Medium',
+    priority: 'medium',
+    firstResponseMinutes: 4 * 60,
+    resolutionMinutes: 3 * 9 * 60
+  },
+  {
+    name: 'Low',
+    priority: 'low',
+    firstResponseMinutes: 9 * 60,
+    resolutionMinutes: 5 * 9 * 60
+  }
+];
+
+// Opening hours by weekday (0 = Sunday) in Zimbabwe time, which is UTC+2
+// all year. null means closed.
+const DEFAULT_BUSINESS_HOURS = {
+  utcOffsetMinutes: 120,
+  days: [
+    null,
+    { start: '08:00', end: '17:00' },
+    { start: '08:00', end: '17:00' },
+    { start: '08:00', end: '17:00' },
+    { start: '08:00', end: '17:00' },
+    { start: '08:00', end: '17:00' },
+    { start: '08:00', end: '13:00' }
+  ]
+};
+
+module.exports = {
+  DEFAULT_SLA_POLICIES,
+  DEFAULT_BUSINESS_HOURS
+};
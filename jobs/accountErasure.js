@@ -0,0 +1,34 @@
+const { findUsersDueForErasure, eraseUser } = require('../services/accountDeletion');
+const { recordAudit } = require('../services/audit');
+
+// Anonymise soft-deleted accounts once their restore window has passed.
+// One failing account doesn't hold up the rest; it's retried next run.
+const runAccountErasure = async (asOf = new Date()) => {
+  let erased = 0;
+  let failed = 0;
+
+  const cursor = findUsersDueForErasure(asOf).cursor();
+
+  for await (const user of cursor) {
+    try {
+      await eraseUser(user);
+      await recordAudit(null, {
+        action: 'user.erase',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { deletedAt: user.deletedAt, deletedBy: user.deletedBy }
+      });
+      erased++;
+    } catch (error) {
+      console.error(`Account erasure error (${user._id}):`, error);
+      failed++;
+    }
+  }
+
+  return { erased, failed };
+};
+
+module.exports = {
+  runAccountErasure
+};
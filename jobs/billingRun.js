@@ -0,0 +1,144 @@
+const Bill = require('../models/Bill');
+const Counter = require('../models/Counter');
+const Subscription = require('../models/Subscription');
+const { getCycleBounds, getPreviousCycle, formatPeriod } = require('../services/billingCycle');
+
+const BILL_DUE_DAYS = parseInt(process.env.BILL_DUE_DAYS) || 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const formatShortDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+// Sequential bill numbers per calendar year: FR-2024-001, FR-2024-002, ...
+const nextBillNumber = async (issuedAt) => {
+  const year = issuedAt.getUTCFullYear();
+  const seq = await Counter.next(`bill-${year}`);
+  return `FR-${year}-${String(seq).padStart(3, '0')}`;
+};
+
+// Charge each plan for the share of the cycle it was active
+const buildLineItems = (subscription, cycle) => {
+  const cycleLength = cycle.end - cycle.start;
+
+  return subscription.planHistory
+    .map(entry => {
+      const from = new Date(Math.max(entry.from, cycle.start));
+      const to = new Date(Math.min(entry.to || cycle.end, cycle.end));
+
+      if (to <= from) return null;
+
+      const share = (to - from) / cycleLength;
+      const isProrated = share < 1;
+
+      return {
+        description: isProrated
+          ? `${entry.name} (pro-rated ${formatShortDate(from)} - ${formatShortDate(to.getTime() - 1)})`
+          : entry.name,
+        amount: roundCurrency(entry.price * share),
+        from,
+        to
+      };
+    })
+    .filter(Boolean);
+};
+
+// Completed cycles that have not yet been billed, oldest first
+const getUnbilledCycles = (subscription, asOf) => {
+  const cycles = [];
+  const billedThrough = subscription.billedThrough || subscription.startDate;
+  let cycle = getPreviousCycle(subscription.billingDay, getCycleBounds(subscription.billingDay, asOf).start);
+
+  while (cycle.end > billedThrough) {
+    cycles.unshift(cycle);
+    cycle = getPreviousCycle(subscription.billingDay, cycle.start);
+  }
+
+  return cycles;
+};
+
+const billCycle = async (subscription, cycle, issuedAt) => {
+  if (await Bill.exists({ subscription: subscription._id, periodStart: cycle.start })) {
+    return null;
+  }
+
+  const lineItems = buildLineItems(subscription, cycle);
+  const amount = roundCurrency(lineItems.reduce((total, item) => total + item.amount, 0));
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  const lastEntry = subscription.planHistory
+    .filter(entry => entry.from < cycle.end)
+    .slice(-1)[0];
+
+  try {
+    return await Bill.create({
+      user: subscription.user,
+      subscription: subscription._id,
+      billNumber: await nextBillNumber(issuedAt),
+      amount,
+      currency: lastEntry.currency || 'USD',
+      service: lastEntry.name,
+      period: formatPeriod(cycle.start),
+      periodStart: cycle.start,
+      periodEnd: cycle.end,
+      lineItems,
+      dueDate: new Date(issuedAt.getTime() + BILL_DUE_DAYS * DAY_MS),
+      status: 'pending'
+    });
+  } catch (error) {
+    // A concurrent run already billed this cycle
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Generate bills for every subscription cycle that ended on or before `asOf`.
+// Safe to re-run: already billed cycles are skipped.
+const runBillingRun = async (asOf = new Date()) => {
+  const summary = { subscriptions: 0, billsCreated: 0, errors: 0 };
+
+  const cursor = Subscription.find({
+    startDate: { $lt: asOf },
+    $or: [
+      { billedThrough: { $exists: false } },
+      { billedThrough: { $lt: asOf } }
+    ],
+    $and: [{
+      $or: [
+        { status: { $ne: 'cancelled' } },
+        { $expr: { $gt: ['$endDate', { $ifNull: ['$billedThrough', '$startDate'] }] } }
+      ]
+    }]
+  }).cursor();
+
+  for await (const subscription of cursor) {
+    summary.subscriptions++;
+
+    try {
+      for (const cycle of getUnbilledCycles(subscription, asOf)) {
+        const bill = await billCycle(subscription, cycle, asOf);
+        if (bill) summary.billsCreated++;
+
+        subscription.billedThrough = cycle.end;
+      }
+
+      if (subscription.isModified('billedThrough')) {
+        await subscription.save();
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`Billing run failed for subscription ${subscription._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  runBillingRun,
+  buildLineItems
+};
@@ -0,0 +1,73 @@
+const { runBillingRun } = require('./billingRun');
+const { runOverdueBills } = require('./overdueBills');
+const { runAccountErasure } = require('./accountErasure');
+const { runSlaEscalation } = require('./slaEscalation');
+
+const MINUTE_MS = 60 * 1000;
+
+// Registered background jobs. Each job must be safe to re-run.
+const jobs = [
+  {
+    name: 'billing-run',
+    intervalMinutes: parseInt(process.env.BILLING_RUN_INTERVAL_MINUTES) || 60,
+    run: () => runBillingRun()
+  },
+  {
+    name: 'overdue-bills',
+    intervalMinutes: parseInt(process.env.OVERDUE_BILLS_INTERVAL_MINUTES) || 60,
+    run: () => runOverdueBills()
+  },
+  {
+    name: 'account-erasure',
+    intervalMinutes: parseInt(process.env.ACCOUNT_ERASURE_INTERVAL_MINUTES) || 360,
+    run: () => runAccountErasure()
+  },
+  {
+    name: 'sla-escalation',
+    intervalMinutes: parseInt(process.env.SLA_ESCALATION_INTERVAL_MINUTES) || 5,
+    run: () => runSlaEscalation()
+  }
+];
+
+const timers = [];
+
+// Run a job, skipping the tick if the previous run is still in progress
+const createRunner = (job) => {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const result = await job.run();
+      console.log(`[Jobs] ✅ ${job.name} finished`, result || '');
+    } catch (error) {
+      console.error(`[Jobs] ❌ ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('[Jobs] Background jobs disabled');
+    return;
+  }
+
+  jobs.forEach(job => {
+    const runner = createRunner(job);
+    timers.push(setInterval(runner, job.intervalMinutes * MINUTE_MS));
+    runner();
+  });
+};
+
+const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,179 @@
+const Bill = require('../models/Bill');
+const Subscription = require('../models/Subscription');
+const { notifyUser } = require('../services/notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days relative to the due date on which reminders go out (negative = before)
+const REMINDER_OFFSETS = (process.env.BILL_REMINDER_OFFSETS || '-3,0,3,7')
+  .split(',')
+  .map(offset => parseInt(offset))
+  .filter(offset => !isNaN(offset))
+  .sort((a, b) => a - b);
+
+// Late fee: a flat amount plus a percentage of the bill, applied once
+const LATE_FEE_AMOUNT = parseFloat(process.env.LATE_FEE_AMOUNT) || 0;
+const LATE_FEE_PERCENT = parseFloat(process.env.LATE_FEE_PERCENT) || 0;
+const LATE_FEE_AFTER_DAYS = parseInt(process.env.LATE_FEE_AFTER_DAYS) || 3;
+
+// Days past due before the account is flagged for suspension
+const SUSPENSION_GRACE_DAYS = parseInt(process.env.SUSPENSION_GRACE_DAYS) || 14;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const daysFrom = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const buildReminder = (bill, offsetDays) => {
+  const amount = `${bill.currency} ${bill.totalDue.toFixed(2)}`;
+
+  if (offsetDays < 0) {
+    return {
+      subject: `Your Frampol bill ${bill.billNumber} is due soon`,
+      message: `Your bill ${bill.billNumber} for ${bill.period} (${amount}) is due on ${formatDate(bill.dueDate)}.`
+    };
+  }
+
+  if (offsetDays === 0) {
+    return {
+      subject: `Your Frampol bill ${bill.billNumber} is due today`,
+      message: `Your bill ${bill.billNumber} for ${bill.period} (${amount}) is due today. Pay in the Frampol app to avoid late fees.`
+    };
+  }
+
+  return {
+    subject: `Your Frampol bill ${bill.billNumber} is overdue`,
+    message: `Your bill ${bill.billNumber} for ${bill.period} (${amount}) was due on ${formatDate(bill.dueDate)}. Please pay now to avoid late fees and service suspension.`
+  };
+};
+
+const markOverdue = async (asOf) => {
+  const result = await Bill.updateMany(
+    { status: 'pending', dueDate: { $lt: asOf } },
+    { status: 'overdue', overdueAt: asOf }
+  );
+  return result.modifiedCount;
+};
+
+// Send at most one reminder per bill per run: the latest offset that's due.
+// Earlier offsets that were missed are recorded as handled without sending.
+const sendReminders = async (asOf) => {
+  if (REMINDER_OFFSETS.length === 0) return 0;
+
+  const earliestOffset = REMINDER_OFFSETS[0];
+  let sent = 0;
+
+  const cursor = Bill.find({
+    status: { $in: ['pending', 'overdue'] },
+    dueDate: { $lte: daysFrom(asOf, -earliestOffset) }
+  })
+    .populate('user', 'firstName email phone preferences isActive')
+    .cursor();
+
+  for await (const bill of cursor) {
+    const handled = new Set(bill.reminders.map(reminder => reminder.offsetDays));
+    const dueOffsets = REMINDER_OFFSETS.filter(offset =>
+      !handled.has(offset) && daysFrom(bill.dueDate, offset) <= asOf
+    );
+
+    if (dueOffsets.length === 0 || !bill.user) continue;
+
+    const latestOffset = dueOffsets[dueOffsets.length - 1];
+    const channels = bill.user.isActive
+      ? await notifyUser(bill.user, buildReminder(bill, latestOffset))
+      : [];
+
+    dueOffsets.forEach(offset => {
+      bill.reminders.push({
+        offsetDays: offset,
+        sentAt: asOf,
+        channels: offset === latestOffset ? channels : []
+      });
+    });
+    await bill.save();
+
+    if (channels.length > 0) sent++;
+  }
+
+  return sent;
+};
+
+const applyLateFees = async (asOf) => {
+  if (LATE_FEE_AMOUNT <= 0 && LATE_FEE_PERCENT <= 0) return 0;
+
+  let applied = 0;
+
+  const bills = await Bill.find({
+    status: 'overdue',
+    dueDate: { $lte: daysFrom(asOf, -LATE_FEE_AFTER_DAYS) },
+    'lateFee.appliedAt': { $exists: false }
+  });
+
+  for (const bill of bills) {
+    const amount = Math.round((LATE_FEE_AMOUNT + bill.amount * LATE_FEE_PERCENT / 100) * 100) / 100;
+
+    // Conditional update so concurrent runs can't apply the fee twice
+    const result = await Bill.updateOne(
+      { _id: bill._id, 'lateFee.appliedAt': { $exists: false } },
+      { lateFee: { amount, appliedAt: asOf } }
+    );
+    applied += result.modifiedCount;
+  }
+
+  return applied;
+};
+
+const flagSuspensions = async (asOf) => {
+  let flagged = 0;
+
+  const bills = await Bill.find({
+    status: 'overdue',
+    dueDate: { $lte: daysFrom(asOf, -SUSPENSION_GRACE_DAYS) },
+    subscription: { $exists: true },
+    suspensionFlaggedAt: { $exists: false }
+  }).populate('user', 'firstName email phone preferences isActive');
+
+  for (const bill of bills) {
+    // Leave subscriptions that are already flagged or suspended alone
+    const subscription = await Subscription.findOneAndUpdate(
+      {
+        _id: bill.subscription,
+        status: 'active',
+        'suspension.status': { $nin: ['flagged', 'suspended'] }
+      },
+      {
+        suspension: { status: 'flagged', bill: bill._id, flaggedAt: asOf }
+      },
+      { new: true }
+    );
+
+    bill.suspensionFlaggedAt = asOf;
+    await bill.save();
+
+    if (subscription) {
+      flagged++;
+
+      if (bill.user && bill.user.isActive) {
+        await notifyUser(bill.user, {
+          subject: 'Your Frampol service is at risk of suspension',
+          message: `Your bill ${bill.billNumber} for ${bill.period} is ${SUSPENSION_GRACE_DAYS} or more days overdue. Please pay ${bill.currency} ${bill.totalDue.toFixed(2)} now to keep your service active.`
+        });
+      }
+    }
+  }
+
+  return flagged;
+};
+
+// Flag overdue bills, send reminders, apply late fees and flag accounts for
+// suspension. Each step is idempotent, so the job is safe to re-run.
+const runOverdueBills = async (asOf = new Date()) => ({
+  markedOverdue: await markOverdue(asOf),
+  remindersSent: await sendReminders(asOf),
+  lateFeesApplied: await applyLateFees(asOf),
+  suspensionsFlagged: await flagSuspensions(asOf)
+});
+
+module.exports = {
+  runOverdueBills
+};
@@ -0,0 +1,199 @@
+const SupportTicket = require('../models/SupportTicket');
+const SlaPolicy = require('../models/SlaPolicy');
+const User = require('../models/User');
+const { notifyUser } = require('../services/notifications');
+const { getRolesWithPermission, hasPermission } = require('../services/permissions');
+const { publishTicketEvent } = require('../services/ticketEvents');
+const { recordAudit } = require('../services/audit');
+
+const OPEN_STATUSES = ['open', 'in_progress'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Ticket SLA fields for each target
+const TARGETS = {
+  first_response: {
+    label: 'first response',
+    escalateAt: 'firstResponseEscalateAt',
+    dueAt: 'firstResponseDueAt',
+    doneAt: 'firstResponseAt',
+    breachedAt: 'firstResponseBreachedAt'
+  },
+  resolution: {
+    label: 'resolution',
+    escalateAt: 'resolutionEscalateAt',
+    dueAt: 'resolutionDueAt',
+    doneAt: 'resolvedAt',
+    breachedAt: 'resolutionBreachedAt'
+  }
+};
+
+// Used when a ticket's policy has since been deleted
+const DEFAULT_ESCALATION = { raisePriority: false, notifySupervisors: true };
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Africa/Harare'
+  });
+
+const notEscalated = (target, level) => ({
+  'sla.escalations': { $not: { $elemMatch: { target, level } } }
+});
+
+const buildNotification = (ticket, fields, level) => {
+  const due = formatTime(ticket.sla[fields.dueAt]);
+  const summary = level === 'breach'
+    ? `missed its ${fields.label} target (${due})`
+    : `is close to its ${fields.label} target (${due})`;
+
+  return {
+    subject: `SLA ${level === 'breach' ? 'breach' : 'warning'}: ticket ${ticket.ticketNumber} ${summary}`,
+    message: `Ticket ${ticket.ticketNumber} "${ticket.subject}" (${ticket.priority} priority) ${summary}.`,
+    smsMessage: `Frampol SLA: ticket ${ticket.ticketNumber} ${summary}.`
+  };
+};
+
+// Per-run lookups, so a run with many tickets doesn't repeat them
+const createContext = (asOf) => {
+  const policies = new Map();
+  let supervisors = null;
+
+  return {
+    asOf,
+    getEscalation: async (policyId) => {
+      const key = String(policyId);
+      if (!policies.has(key)) {
+        const policy = policyId && await SlaPolicy.findById(policyId).lean();
+        policies.set(key, (policy && policy.escalation) || DEFAULT_ESCALATION);
+      }
+      return policies.get(key);
+    },
+    getSupervisors: async () => {
+      if (!supervisors) {
+        const roles = await getRolesWithPermission('tickets:supervise');
+        supervisors = await User.find({ role: { $in: roles }, isActive: true, deletedAt: { $exists: false } });
+      }
+      return supervisors;
+    }
+  };
+};
+
+// Apply the policy's escalation actions and record them on the ticket.
+// Claiming the escalation in the update means it happens only once, even if
+// runs overlap across processes.
+const escalate = async (ticket, target, level, context) => {
+  const fields = TARGETS[target];
+  const escalation = await context.getEscalation(ticket.sla.policy);
+  const actions = [];
+  const update = {};
+
+  if (level === 'breach') {
+    update[`sla.${fields.breachedAt}`] = ticket.sla[fields.dueAt];
+  }
+
+  if (level === 'warning') {
+    const priorityIndex = PRIORITIES.indexOf(ticket.priority);
+    if (escalation.raisePriority && priorityIndex < PRIORITIES.length - 1) {
+      update.priority = PRIORITIES[priorityIndex + 1];
+      actions.push('raise_priority');
+    }
+
+    if (escalation.reassignTo && !(ticket.assignedTo && ticket.assignedTo.equals(escalation.reassignTo))) {
+      const assignee = await User.findOne({ _id: escalation.reassignTo, isActive: true });
+      if (assignee && await hasPermission(assignee, 'tickets:respond')) {
+        update.assignedTo = assignee._id;
+        actions.push('reassign');
+      }
+    }
+  }
+
+  const notifyAssignee = Boolean(update.assignedTo || ticket.assignedTo);
+  if (escalation.notifySupervisors) actions.push('notify_supervisors');
+  if (notifyAssignee) actions.push('notify_assignee');
+
+  const updated = await SupportTicket.findOneAndUpdate(
+    { _id: ticket._id, ...notEscalated(target, level) },
+    {
+      ...update,
+      $push: { 'sla.escalations': { target, level, actions, at: context.asOf } }
+    },
+    { new: true }
+  );
+
+  // Another run got there first
+  if (!updated) return false;
+
+  const notification = buildNotification(updated, fields, level);
+  const recipients = escalation.notifySupervisors ? [...await context.getSupervisors()] : [];
+
+  if (notifyAssignee) {
+    const assignee = await User.findById(updated.assignedTo);
+    if (assignee && !recipients.some(user => user._id.equals(assignee._id))) {
+      recipients.push(assignee);
+    }
+  }
+
+  for (const recipient of recipients) {
+    await notifyUser(recipient, notification);
+  }
+
+  await recordAudit(null, {
+    action: 'ticket.escalate',
+    actor: null,
+    targetType: 'SupportTicket',
+    targetId: updated._id,
+    metadata: { target, level, actions, ...(update.priority && { priority: update.priority }) }
+  });
+
+  publishTicketEvent(updated, 'ticket.escalated', {
+    target,
+    level,
+    actions,
+    priority: updated.priority,
+    assignedTo: updated.assignedTo
+  }, { staffOnly: true });
+
+  return true;
+};
+
+const processTarget = async (target, level, context) => {
+  const fields = TARGETS[target];
+  const filter = {
+    status: { $in: OPEN_STATUSES },
+    [`sla.${level === 'breach' ? fields.dueAt : fields.escalateAt}`]: { $lte: context.asOf },
+    [`sla.${fields.doneAt}`]: null,
+    ...notEscalated(target, level)
+  };
+
+  let escalated = 0;
+  const cursor = SupportTicket.find(filter).cursor();
+
+  for await (const ticket of cursor) {
+    try {
+      if (await escalate(ticket, target, level, context)) escalated++;
+    } catch (error) {
+      console.error(`SLA escalation error (${ticket.ticketNumber}):`, error);
+    }
+  }
+
+  return escalated;
+};
+
+// Escalate open tickets that are close to, or past, their SLA targets
+const runSlaEscalation = async (asOf = new Date()) => {
+  const context = createContext(asOf);
+
+  return {
+    firstResponseWarnings: await processTarget('first_response', 'warning', context),
+    firstResponseBreaches: await processTarget('first_response', 'breach', context),
+    resolutionWarnings: await processTarget('resolution', 'warning', context),
+    resolutionBreaches: await processTarget('resolution', 'breach', context)
+  };
+};
+
+module.exports = {
+  runSlaEscalation
+};
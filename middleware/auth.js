@@ -1,5 +1,19 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getRolePermissions } = require('../services/permissions');
+
+// Resolve the session an access token was issued for, if still active
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+    return null;
+  }
+  return session;
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -12,7 +26,7 @@ const protect = async (req, res, next) => {
     }
 
     // Check for token in cookies
-    if (!token && req.cookies.token) {
+    if (!token && req.cookies && req.cookies.token) {
       token = req.cookies.token;
     }
 
@@ -44,7 +58,25 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens issued before a password change or reset are no longer valid
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Password was changed recently. Please log in again.'
+        });
+      }
+
+      // Logged out or revoked devices can't keep using their access token
+      const session = await findActiveSession(decoded);
+      if (!session) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Session has expired or been revoked. Please log in again.'
+        });
+      }
+
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -74,6 +106,46 @@ const authorize = (...roles) => {
   };
 };
 
+// Require every listed permission through the user's role
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.has(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You do not have permission to perform this action.',
+          missingPermissions: missing
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error during authorization.'
+      });
+    }
+  };
+};
+
+// Require a verified email address for sensitive actions. Enforced only when
+// REQUIRE_EMAIL_VERIFICATION=true so existing accounts aren't locked out
+// before they have had a chance to verify.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.isEmailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    status: 'error',
+    message: 'Please verify your email address to continue.',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -83,7 +155,7 @@ const optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
-    if (req.cookies.token) {
+    if (!token && req.cookies && req.cookies.token) {
       token = req.cookies.token;
     }
 
@@ -92,8 +164,12 @@ const optionalAuth = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
         
-        if (user && user.isActive) {
-          req.user = user;
+        if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
+          const session = await findActiveSession(decoded);
+          if (session) {
+            req.user = user;
+            req.authSession = session;
+          }
         }
       } catch (error) {
         // Token is invalid, but we don't fail the request
@@ -108,8 +184,40 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Machine-to-machine auth for integrations such as the usage accounting feed.
+// The expected key is read from the named environment variable.
+const requireApiKey = (envVar) => {
+  return (req, res, next) => {
+    const expected = process.env[envVar];
+    const provided = req.headers['x-api-key'];
+
+    if (!expected) {
+      console.error(`${envVar} is not configured - rejecting API key request`);
+      return res.status(503).json({
+        status: 'error',
+        message: 'API key authentication is not configured.'
+      });
+    }
+
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(String(provided || ''));
+
+    if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid API key.'
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   protect,
   authorize,
-  optionalAuth
+  requirePermission,
+  requireVerifiedEmail,
+  optionalAuth,
+  requireApiKey
 };
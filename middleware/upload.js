@@ -0,0 +1,36 @@
+const multer = require('multer');
+const { getMaxBytes, getMaxFiles } = require('../services/attachments');
+
+// Files are held in memory so their type can be checked before anything is
+// written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxBytes(),
+    files: getMaxFiles()
+  }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: () => `Each file must be ${getMaxBytes() / (1024 * 1024)} MB or smaller`,
+  LIMIT_FILE_COUNT: () => `You can attach up to ${getMaxFiles()} files`,
+  LIMIT_UNEXPECTED_FILE: () => 'Files must be sent in the "attachments" field'
+};
+
+// Parse multipart ticket attachments from the "attachments" field. JSON
+// requests pass straight through.
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments', getMaxFiles())(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        status: 'error',
+        message: UPLOAD_ERRORS[error.code] ? UPLOAD_ERRORS[error.code]() : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadAttachments
+};
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Routing settings for a support agent. Only staff with a profile receive
+// automatically routed tickets.
+const agentProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Matched against assignment rules' required skills (e.g. "fibre", "billing")
+  skills: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // Open tickets the agent can hold before routing skips them. Unset uses
+  // AGENT_MAX_OPEN_TICKETS.
+  maxOpenTickets: {
+    type: Number,
+    min: [1, 'Open ticket cap must be at least 1']
+  },
+  // Round-robin position: the least recently assigned agent goes first
+  lastAssignedAt: Date,
+  // Held while routing checks the agent's load and assigns them a ticket, so
+  // concurrent routing can't push them past their cap
+  assignmentLock: {
+    owner: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  }
+}, {
+  timestamps: true
+});
+
+agentProfileSchema.statics.getDefaultMaxOpenTickets = function() {
+  return parseInt(process.env.AGENT_MAX_OPEN_TICKETS) || 20;
+};
+
+agentProfileSchema.methods.getMaxOpenTickets = function() {
+  return this.maxOpenTickets || this.constructor.getDefaultMaxOpenTickets();
+};
+
+// Atomically claim the agent for one assignment. Resolves to null when
+// another routing attempt holds an unexpired lock.
+agentProfileSchema.statics.acquireAssignmentLock = function(profileId, owner, ttlMs = 10 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: profileId,
+      $or: [
+        { 'assignmentLock.expiresAt': { $exists: false } },
+        { 'assignmentLock.expiresAt': { $lte: now } }
+      ]
+    },
+    { assignmentLock: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+    { new: true }
+  );
+};
+
+// Release the claim, moving the agent's round-robin position when they
+// were given the ticket
+agentProfileSchema.statics.releaseAssignmentLock = function(profileId, owner, assignedAt) {
+  return this.updateOne(
+    { _id: profileId, 'assignmentLock.owner': owner },
+    { $unset: { assignmentLock: 1 }, ...(assignedAt && { lastAssignedAt: assignedAt }) }
+  );
+};
+
+// Index for better query performance
+agentProfileSchema.index({ isAvailable: 1, lastAssignedAt: 1 });
+
+module.exports = mongoose.model('AgentProfile', agentProfileSchema);
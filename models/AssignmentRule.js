@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const SupportTicket = require('./SupportTicket');
+
+// Routes matching new tickets to a set of agents. Empty conditions match
+// any ticket; rules are tried in ascending `order`.
+const assignmentRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [80, 'Rule name cannot exceed 80 characters']
+  },
+  order: {
+    type: Number,
+    default: 100
+  },
+  conditions: {
+    issueTypes: [{
+      type: String,
+      enum: SupportTicket.schema.path('issueType').enumValues
+    }],
+    priorities: [{
+      type: String,
+      enum: SupportTicket.schema.path('priority').enumValues
+    }],
+    // The ticket needs at least one of these tags
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    // Customer's address.city, compared case-insensitively
+    cities: [{
+      type: String,
+      trim: true
+    }]
+  },
+  // Agents the rule may assign to; empty means any agent
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Skills the agent must all have
+  requiredSkills: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+assignmentRuleSchema.index({ isActive: 1, order: 1 });
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const getRetentionDays = () => parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// Record of an administrative or security-sensitive action. Entries are
+// append-only; the TTL index is the only thing that removes them. The one
+// exception is redactUserFromAudit (services/audit.js), which strips an
+// erased user's personal data.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: String,
+  targetId: mongoose.Schema.Types.ObjectId,
+  // Changed fields only, with sensitive values redacted
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: getRetentionDays() * 24 * 60 * 60 });
+
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'findOneAndDelete', 'deleteMany']
+  .forEach(operation => auditLogSchema.pre(operation, rejectChange));
+auditLogSchema.pre('deleteOne', { document: true, query: true }, rejectChange);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+auditLogSchema.statics.getRetentionDays = getRetentionDays;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const billSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  billNumber: {
+    type: String,
+    required: [true, 'Bill number is required'],
+    unique: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  service: {
+    type: String,
+    required: [true, 'Service is required'],
+    trim: true
+  },
+  period: {
+    type: String,
+    required: [true, 'Billing period is required'],
+    trim: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  periodStart: Date,
+  periodEnd: Date,
+  lineItems: [{
+    description: String,
+    amount: Number,
+    from: Date,
+    to: Date
+  }],
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'overdue', 'cancelled'],
+    default: 'pending'
+  },
+  paidAt: Date,
+  overdueAt: Date,
+  // Reminder notifications sent, keyed by days relative to the due date
+  reminders: [{
+    offsetDays: Number,
+    sentAt: Date,
+    channels: [String]
+  }],
+  lateFee: {
+    amount: Number,
+    appliedAt: Date,
+    waivedAt: Date,
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  suspensionFlaggedAt: Date,
+  // Held while a payment attempt is in progress so attempts are serialized
+  paymentLock: {
+    owner: String,
+    expiresAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+billSchema.index({ user: 1, createdAt: -1 });
+billSchema.index({ user: 1, status: 1 });
+billSchema.index({ status: 1, dueDate: 1 });
+// One bill per subscription per billing cycle, so billing runs can be repeated
+billSchema.index(
+  { subscription: 1, periodStart: 1 },
+  { unique: true, partialFilterExpression: { subscription: { $exists: true } } }
+);
+
+// Atomically claim the bill for a payment attempt. Resolves to null when
+// another attempt holds an unexpired lock.
+billSchema.statics.acquirePaymentLock = function(billId, userId, owner, ttlMs = 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: billId,
+      user: userId,
+      $or: [
+        { 'paymentLock.expiresAt': { $exists: false } },
+        { 'paymentLock.expiresAt': { $lte: now } }
+      ]
+    },
+    { paymentLock: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+    { new: true }
+  );
+};
+
+billSchema.statics.releasePaymentLock = function(billId, owner) {
+  return this.updateOne(
+    { _id: billId, 'paymentLock.owner': owner },
+    { $unset: { paymentLock: 1 } }
+  );
+};
+
+// Amount owed including any late fee that hasn't been waived
+billSchema.virtual('totalDue').get(function() {
+  const lateFee = this.lateFee && this.lateFee.appliedAt && !this.lateFee.waivedAt
+    ? this.lateFee.amount || 0
+    : 0;
+  return Math.round((this.amount + lateFee) * 100) / 100;
+});
+
+// Transform output
+billSchema.methods.toJSON = function() {
+  const bill = this.toObject();
+  delete bill.paymentLock;
+  bill.totalDue = this.totalDue;
+  return bill;
+};
+
+module.exports = mongoose.model('Bill', billSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A password login attempt, kept for a day to spot brute force spread
+// across many IPs
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  success: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+loginAttemptSchema.index({ user: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A one-time code sent by SMS. Only an HMAC of the code is stored and the
+// document expires with the code.
+const otpCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login_2fa', 'sms_2fa_setup', 'phone_login'],
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+otpCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
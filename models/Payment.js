@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  paymentMethod: {
+    type: String,
+    required: [true, 'Payment method is required'],
+    enum: ['ecocash', 'paynow', 'bank_transfer', 'cash']
+  },
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Gateway details for ecocash/paynow payments
+  provider: String,
+  providerReference: String,
+  pollUrl: String,
+  redirectUrl: String,
+  instructions: String,
+  phone: String,
+  failureReason: String,
+  processedAt: Date,
+  // Client-supplied Idempotency-Key and the response it produced
+  idempotencyKey: String,
+  idempotencyFingerprint: {
+    type: String,
+    select: false
+  },
+  idempotencyResponse: {
+    type: new mongoose.Schema({
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed
+    }, { _id: false }),
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ bill: 1, status: 1 });
+paymentSchema.index({ reference: 1 });
+paymentSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+// A bill can only ever be settled by one payment
+paymentSchema.index(
+  { bill: 1 },
+  { unique: true, partialFilterExpression: { status: 'paid' } }
+);
+
+// Transform output
+paymentSchema.methods.toJSON = function() {
+  const payment = this.toObject();
+  delete payment.pollUrl;
+  delete payment.idempotencyFingerprint;
+  delete payment.idempotencyResponse;
+  return payment;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
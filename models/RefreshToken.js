@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A single refresh token. Each refresh rotates it: the old token is marked
+// used and replaced, and presenting a used token again revokes the session.
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+refreshTokenSchema.index({ session: 1 });
+// Expired tokens are kept for a while so reuse can still be detected
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
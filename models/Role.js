@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,39}$/, 'Role name must be 2-40 characters: letters, numbers, - or _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  // Built-in roles can be edited but not deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const servicePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Plan code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Monthly price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  speedMbps: Number,
+  dataLimit: {
+    type: Number, // GB per billing cycle, empty for uncapped plans
+    min: [0, 'Data limit cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+servicePlanSchema.index({ isActive: 1, price: 1 });
+
+module.exports = mongoose.model('ServicePlan', servicePlanSchema);
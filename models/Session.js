@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Access tokens carry the session id (sid) and refresh
+// tokens belong to it, so revoking the session logs the device out and
+// kills its whole refresh token family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_change', 'password_reset', 'admin', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Drop sessions a while after they can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Admin-managed runtime settings stored by key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+settingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
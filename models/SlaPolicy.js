@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const SupportTicket = require('./SupportTicket');
+
+// Response targets for tickets. A policy can match an issue type, a
+// priority, both, or neither (the fallback); the most specific active
+// match applies when a ticket is opened.
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [80, 'Policy name cannot exceed 80 characters']
+  },
+  issueType: {
+    type: String,
+    enum: [...SupportTicket.schema.path('issueType').enumValues, null],
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: [...SupportTicket.schema.path('priority').enumValues, null],
+    default: null
+  },
+  firstResponseMinutes: {
+    type: Number,
+    required: [true, 'First response target is required'],
+    min: [1, 'First response target must be at least 1 minute']
+  },
+  resolutionMinutes: {
+    type: Number,
+    required: [true, 'Resolution target is required'],
+    min: [1, 'Resolution target must be at least 1 minute']
+  },
+  // Count only business hours (excluding public holidays) towards targets
+  businessHoursOnly: {
+    type: Boolean,
+    default: true
+  },
+  escalation: {
+    // Share of a target used up before the ticket is escalated
+    warnAtPercent: {
+      type: Number,
+      default: 80,
+      min: 1,
+      max: 99
+    },
+    raisePriority: {
+      type: Boolean,
+      default: true
+    },
+    reassignTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notifySupervisors: {
+      type: Boolean,
+      default: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per issue type / priority combination
+slaPolicySchema.index({ issueType: 1, priority: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServicePlan',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'cancelled'],
+    default: 'active'
+  },
+  billingDay: {
+    type: Number,
+    required: [true, 'Billing day is required'],
+    min: [1, 'Billing day must be between 1 and 28'],
+    max: [28, 'Billing day must be between 1 and 28'],
+    default: 1
+  },
+  startDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endDate: Date,
+  // Username the network reports in accounting records for this service
+  radiusUsername: {
+    type: String,
+    trim: true
+  },
+  // Plan and price in effect over time, used to pro-rate mid-cycle changes
+  planHistory: [{
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServicePlan',
+      required: true
+    },
+    name: String,
+    price: Number,
+    currency: String,
+    from: {
+      type: Date,
+      required: true
+    },
+    to: Date
+  }],
+  // End of the last billing cycle a bill was generated for
+  billedThrough: Date,
+  // Set by the overdue job when a bill stays unpaid past the grace period;
+  // an admin then suspends the service or overrides the flag
+  suspension: {
+    status: {
+      type: String,
+      enum: ['flagged', 'suspended', 'overridden', 'cleared']
+    },
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill'
+    },
+    flaggedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+subscriptionSchema.index({ user: 1, status: 1 });
+subscriptionSchema.index({ status: 1, endDate: 1 });
+subscriptionSchema.index({ 'suspension.status': 1 });
+subscriptionSchema.index(
+  { radiusUsername: 1 },
+  { unique: true, partialFilterExpression: { radiusUsername: { $type: 'string' } } }
+);
+
+// Record the initial plan when a subscription is created
+subscriptionSchema.pre('validate', async function(next) {
+  if (this.isNew && this.planHistory.length === 0) {
+    try {
+      const plan = await mongoose.model('ServicePlan').findById(this.plan);
+      if (!plan) {
+        return next(new Error('Service plan not found'));
+      }
+
+      this.planHistory.push({
+        plan: plan._id,
+        name: plan.name,
+        price: plan.price,
+        currency: plan.currency,
+        from: this.startDate
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Switch to another plan from `effectiveAt`; the billing run pro-rates both
+subscriptionSchema.methods.changePlan = function(plan, effectiveAt = new Date()) {
+  const current = this.planHistory.find(entry => !entry.to);
+  if (current) {
+    current.to = effectiveAt;
+  }
+
+  this.planHistory.push({
+    plan: plan._id,
+    name: plan.name,
+    price: plan.price,
+    currency: plan.currency,
+    from: effectiveAt
+  });
+  this.plan = plan._id;
+};
+
+// End the subscription; the final partial cycle is still billed
+subscriptionSchema.methods.cancel = function(effectiveAt = new Date()) {
+  const current = this.planHistory.find(entry => !entry.to);
+  if (current) {
+    current.to = effectiveAt;
+  }
+
+  this.status = 'cancelled';
+  this.endDate = effectiveAt;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -54,9 +54,12 @@ const supportTicketSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    // Text is optional when the message carries attachments
     message: {
       type: String,
-      required: true,
+      required: function() {
+        return !this.attachments || this.attachments.length === 0;
+      },
       trim: true
     },
     isInternal: {
@@ -66,13 +69,25 @@ const supportTicketSchema = new mongoose.Schema({
     attachments: [{
       filename: String,
       url: String,
-      size: Number
+      size: Number,
+      contentType: String,
+      // Location in the storage backend (services/storage)
+      storageKey: String
     }],
     timestamp: {
       type: Date,
       default: Date.now
     }
   }],
+  // When each participant last read the ticket, for read receipts
+  readBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: Date
+  }],
   resolution: {
     description: String,
     resolvedBy: {
@@ -82,6 +97,39 @@ const supportTicketSchema = new mongoose.Schema({
     resolvedAt: Date
   },
   tags: [String],
+  // Targets from the SLA policy that applied when the ticket was opened.
+  // The *EscalateAt times are when the escalation job steps in.
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    businessHoursOnly: Boolean,
+    firstResponseDueAt: Date,
+    firstResponseEscalateAt: Date,
+    firstResponseAt: Date,
+    firstResponseBreachedAt: Date,
+    resolutionDueAt: Date,
+    resolutionEscalateAt: Date,
+    resolvedAt: Date,
+    resolutionBreachedAt: Date,
+    escalations: [{
+      _id: false,
+      target: { type: String, enum: ['first_response', 'resolution'] },
+      level: { type: String, enum: ['warning', 'breach'] },
+      actions: [String],
+      at: Date
+    }]
+  },
+  // How the current assignee was chosen
+  routing: {
+    method: { type: String, enum: ['rule', 'round_robin', 'manual'] },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssignmentRule'
+    },
+    routedAt: Date
+  },
   estimatedResolution: Date,
   actualResolution: Date
 }, {
@@ -125,5 +173,9 @@ supportTicketSchema.pre('save', async function(next) {
 supportTicketSchema.index({ user: 1, status: 1 });
 supportTicketSchema.index({ ticketNumber: 1 });
 supportTicketSchema.index({ status: 1, priority: 1 });
+supportTicketSchema.index({ assignedTo: 1, status: 1 });
+supportTicketSchema.index({ status: 1, 'sla.firstResponseEscalateAt': 1 });
+supportTicketSchema.index({ status: 1, 'sla.resolutionEscalateAt': 1 });
+supportTicketSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('SupportTicket', supportTicketSchema);
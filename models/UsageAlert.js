@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A data-cap threshold alert sent to a user. One per threshold per billing
+// cycle, enforced by the unique index.
+const usageAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cycleStart: {
+    type: Date,
+    required: true
+  },
+  threshold: {
+    type: Number, // percentage of the plan's data limit
+    required: true
+  },
+  dataUsed: Number,
+  dataLimit: Number,
+  channels: [String],
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+usageAlertSchema.index({ user: 1, cycleStart: 1, threshold: 1 }, { unique: true });
+
+module.exports = mongoose.model('UsageAlert', usageAlertSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Hourly usage totals per user, built from accounting session deltas
+const usageRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hour: {
+    type: Date, // start of the UTC hour
+    required: true
+  },
+  downloadBytes: {
+    type: Number,
+    default: 0
+  },
+  uploadBytes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+usageRecordSchema.index({ user: 1, hour: 1 }, { unique: true });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One network (RADIUS accounting) session. Counters are the cumulative totals
+// last reported by the NAS, so replayed records can be detected.
+const usageSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: [true, 'Session ID is required'],
+    unique: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  nasIpAddress: String,
+  framedIpAddress: String,
+  status: {
+    type: String,
+    enum: ['active', 'stopped'],
+    default: 'active'
+  },
+  startedAt: Date,
+  stoppedAt: Date,
+  lastUpdateAt: Date,
+  downloadBytes: {
+    type: Number,
+    default: 0
+  },
+  uploadBytes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+usageSessionSchema.index({ user: 1, lastUpdateAt: -1 });
+
+module.exports = mongoose.model('UsageSession', usageSessionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { normalizePhone } = require('../services/phone');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -28,16 +30,20 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\+?[\d\s-()]+$/, 'Please enter a valid phone number']
   },
+  // Phone in +<country><number> form, used for phone number login
+  phoneNormalized: String,
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Name of a Role; its permissions decide what the user can do
   role: {
     type: String,
-    enum: ['user', 'admin', 'support'],
-    default: 'user'
+    default: 'user',
+    trim: true,
+    lowercase: true
   },
   isActive: {
     type: Boolean,
@@ -48,8 +54,42 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  // Failed password logins since the last success or lock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  // Failed phone OTP logins; too many lock phone login for a while
+  otpLogin: {
+    failedAttempts: { type: Number, default: 0 },
+    lockUntil: Date
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    method: { type: String, enum: ['totp', 'sms'] },
+    totpSecret: { type: String, select: false },
+    // Secret awaiting confirmation with a first code from the app
+    pendingTotpSecret: { type: String, select: false },
+    // Hashes of unused backup codes
+    backupCodes: { type: [String], select: false },
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastTotpStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+  // Soft deletion: the account can be restored until the erasure job
+  // anonymises it after ACCOUNT_RESTORE_DAYS
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  erasedAt: Date,
   lastLogin: Date,
   profilePicture: String,
   preferences: {
@@ -62,6 +102,11 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['light', 'dark', 'auto'],
       default: 'auto'
+    },
+    usageAlerts: {
+      enabled: { type: Boolean, default: true },
+      // Percentages of the data limit; empty means the system defaults
+      thresholds: [{ type: Number, min: 1, max: 100 }]
     }
   },
   address: {
@@ -78,6 +123,30 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
+userSchema.index({ phoneNormalized: 1 });
+userSchema.index({ deletedAt: 1, erasedAt: 1 });
+userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1, createdAt: -1 });
+userSchema.index({ lastName: 1, firstName: 1 });
+userSchema.index({ 'address.city': 1 });
+
+// Keep the normalized phone in sync, including profile updates that go
+// through findByIdAndUpdate
+userSchema.pre('validate', function(next) {
+  if (this.isModified('phone')) {
+    this.phoneNormalized = normalizePhone(this.phone);
+  }
+  next();
+});
+
+userSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  const phone = update.phone || (update.$set && update.$set.phone);
+  if (phone) {
+    this.set('phoneNormalized', normalizePhone(phone));
+  }
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -86,6 +155,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdated a second so a token issued right after the change stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -97,6 +171,80 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create an email verification token. Only a SHA-256 hash is stored; the
+// raw token is returned to be emailed to the user.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+  return token;
+};
+
+// Create a single-use password reset token, stored hashed like the
+// verification token
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  return token;
+};
+
+// Check whether the password changed after a JWT was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Hash a token the same way it's stored
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Set phoneNormalized on accounts saved before it existed, so phone search
+// and phone login find them. Only touches users still missing it.
+userSchema.statics.backfillNormalizedPhones = async function(batchSize = 500) {
+  const cursor = this.find({ phone: { $type: 'string', $ne: '' }, phoneNormalized: { $exists: false } })
+    .select('phone')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    const result = await this.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const user of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: user._id, phoneNormalized: { $exists: false } },
+        update: { $set: { phoneNormalized: normalizePhone(user.phone) } }
+      }
+    });
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+// Last moment a soft-deleted account can be restored
+userSchema.statics.getRestoreDays = function() {
+  return parseInt(process.env.ACCOUNT_RESTORE_DAYS) || 30;
+};
+
+userSchema.methods.getRestoreDeadline = function() {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + this.constructor.getRestoreDays() * 24 * 60 * 60 * 1000);
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -107,8 +255,15 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  if (user.twoFactor) {
+    delete user.twoFactor.totpSecret;
+    delete user.twoFactor.pendingTotpSecret;
+    delete user.twoFactor.backupCodes;
+    delete user.twoFactor.lastTotpStep;
+  }
   return user;
 };
 
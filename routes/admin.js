@@ -0,0 +1,346 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission } = require('../middleware/auth');
+const { getRolePermissions, clearPermissionCache } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+const permissionsValidation = ({ optional = false } = {}) => {
+  const chain = body('permissions');
+  return (optional ? chain.optional() : chain)
+    .isArray()
+    .withMessage('Permissions must be an array')
+    .bail()
+    .custom((permissions) => {
+      const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+      }
+      return true;
+    });
+};
+
+const roleNameParam = param('name')
+  .trim()
+  .toLowerCase()
+  .matches(/^[a-z][a-z0-9_-]{1,39}$/)
+  .withMessage('Invalid role name');
+
+// Permissions the current user would be granting without holding them
+const findUngrantable = async (user, permissions) => {
+  const granted = await getRolePermissions(user.role);
+  return permissions.filter(permission => !granted.has(permission));
+};
+
+// @desc    List available permissions
+// @route   GET /api/admin/permissions
+// @access  Private (roles:manage)
+router.get('/permissions', protect, requirePermission('roles:manage'), (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// @desc    List roles with the number of users in each
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+router.get('/roles', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const countByRole = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    res.status(200).json({
+      status: 'success',
+      count: roles.length,
+      roles: roles.map(role => ({
+        ...role.toObject(),
+        userCount: countByRole[role.name] || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create role
+// @route   POST /api/admin/roles
+// @access  Private (roles:manage)
+router.post('/roles', protect, requirePermission('roles:manage'), [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,39}$/)
+    .withMessage('Role name must be 2-40 characters: letters, numbers, - or _'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  permissionsValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const ungrantable = await findUngrantable(req.user, permissions);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You cannot grant permissions you do not have',
+        missingPermissions: ungrantable
+      });
+    }
+
+    if (await Role.exists({ name })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+    clearPermissionCache();
+    await recordAudit(req, { action: 'role.create', targetType: 'Role', targetId: role._id, after: role });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update role
+// @route   PUT /api/admin/roles/:name
+// @access  Private (roles:manage)
+router.put('/roles/:name', protect, requirePermission('roles:manage'), [
+  roleNameParam,
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  permissionsValidation({ optional: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    const before = role.toObject();
+
+    if (req.body.permissions !== undefined) {
+      if (role.name === 'admin') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The admin role always has every permission'
+        });
+      }
+
+      const permissions = [...new Set(req.body.permissions)];
+      const ungrantable = await findUngrantable(req.user, permissions);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You cannot grant permissions you do not have',
+          missingPermissions: ungrantable
+        });
+      }
+      role.permissions = permissions;
+    }
+
+    if (req.body.description !== undefined) role.description = req.body.description;
+
+    await role.save();
+    clearPermissionCache();
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'Role',
+      targetId: role._id,
+      before,
+      after: role,
+      fields: ['description', 'permissions']
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete role
+// @route   DELETE /api/admin/roles/:name
+// @access  Private (roles:manage)
+router.delete('/roles/:name', protect, requirePermission('roles:manage'), [roleNameParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role is assigned to ${userCount} user(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+    clearPermissionCache();
+    await recordAudit(req, { action: 'role.delete', targetType: 'Role', targetId: role._id, before: role });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Search the audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+router.get('/audit', protect, requirePermission('audit:read'), [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('action').optional().trim().matches(/^[a-z0-9_.]+\*?$/).withMessage('Invalid action'),
+  query('targetType').optional().trim().isAlpha().withMessage('Invalid target type'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { actor, action, targetType, targetId, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) {
+      // A trailing * matches every action with that prefix, e.g. auth.*
+      filter.action = action.endsWith('*')
+        ? { $regex: `^${action.slice(0, -1).replace(/\./g, '\\.')}` }
+        : action;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      retentionDays: AuditLog.getRetentionDays(),
+      entries
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
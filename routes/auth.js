@@ -1,45 +1,165 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { protect } = require('../middleware/auth');
+const { sendEmail, escapeHtml } = require('../services/email');
+const { recordAudit } = require('../services/audit');
+const {
+  sendTokenResponse,
+  setAuthCookies,
+  clearAuthCookies,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessions');
+const { isEnrollmentRequired, getLoginMethods, createChallengeToken, sendLoginCode } = require('../services/twoFactor');
+const { isSmsAvailable } = require('../services/sms');
+const {
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordUnknownLogin
+} = require('../services/loginProtection');
+const { softDeleteUser } = require('../services/accountDeletion');
+const { streamAccountExport } = require('../services/accountExport');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+// Failed logins per IP; per-account protection is in services/loginProtection
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: {
+    status: 'error',
+    message: 'Too many failed login attempts from this IP. Please try again later.'
+  }
+});
+
+// Limit verification email resends per account
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => req.user.id,
+  message: {
+    status: 'error',
+    message: 'Too many verification emails requested. Please try again later.'
+  }
+});
+
+// Account exports are heavy, so only a few per account per hour
+const accountExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => req.user.id,
+  message: {
+    status: 'error',
+    message: 'Too many account exports requested. Please try again later.'
+  }
+});
+
+const getApiUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+// Strict limits on password reset requests, per IP and per account
+const passwordResetIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    status: 'error',
+    message: 'Too many password reset attempts. Please try again later.'
+  }
+});
+
+const forgotPasswordAccountLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => `forgot:${String(req.body.email || '').toLowerCase()}`,
+  message: {
+    status: 'error',
+    message: 'Too many password reset requests for this account. Please try again later.'
+  }
+});
+
+// Account a reset token belongs to, looked up once per request
+const findResetTokenUser = async (req) => {
+  if (req.resetTokenUser === undefined) {
+    req.resetTokenUser = await User.findOne({
+      passwordResetToken: User.hashToken(String(req.body.token || ''))
+    }).select('_id');
+  }
+  return req.resetTokenUser;
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
+// Reset attempts are counted against the account once the token names one.
+// Unknown tokens don't identify an account, so they're left to the IP limit.
+const resetPasswordAccountLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  skip: async (req) => !await findResetTokenUser(req),
+  keyGenerator: async (req) => `reset:${(await findResetTokenUser(req))._id}`,
+  message: {
+    status: 'error',
+    message: 'Too many password reset attempts for this account. Please try again later.'
+  }
+});
 
-  const options = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+// Email a verification link containing the raw token
+const sendVerificationEmail = async (user, token, req) => {
+  const link = `${getApiUrl(req)}/api/auth/verify-email?token=${token}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your Frampol email address',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #550000;">Verify your email</h2>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>Please confirm your email address for your Frampol account:</p>
+        <p><a href="${escapeHtml(link)}" style="background-color: #550000; color: white; padding: 10px 20px; border-radius: 4px; text-decoration: none;">Verify email</a></p>
+        <p style="color: #666; font-size: 12px;">This link expires in ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24} hours. If you didn't create a Frampol account, you can ignore this email.</p>
+      </div>
+    `,
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address for your Frampol account:\n${link}\n\nIf you didn't create a Frampol account, you can ignore this email.`
+  });
+};
 
-  res.status(statusCode)
-    .cookie('token', token, options)
-    .json({
-      status: 'success',
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phone: user.phone,
-        role: user.role,
-        isEmailVerified: user.isEmailVerified,
-        preferences: user.preferences
-      }
-    });
+// Email a password reset link to the frontend's reset page
+const sendPasswordResetEmail = async (user, token) => {
+  const resetUrl = process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_URL}/reset-password`;
+  const link = `${resetUrl}?token=${token}`;
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your Frampol password',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #550000;">Reset your password</h2>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>We received a request to reset the password for your Frampol account.</p>
+        <p><a href="${escapeHtml(link)}" style="background-color: #550000; color: white; padding: 10px 20px; border-radius: 4px; text-decoration: none;">Reset password</a></p>
+        <p style="color: #666; font-size: 12px;">This link expires in ${minutes} minutes and can only be used once. If you didn't request a reset, you can ignore this email.</p>
+      </div>
+    `,
+    text: `Hi ${user.firstName},\n\nReset your Frampol password using this link (expires in ${minutes} minutes):\n${link}\n\nIf you didn't request a reset, you can ignore this email.`
+  });
+};
+
+// Mark the user owning an unexpired verification token as verified
+const consumeEmailVerificationToken = async (token) => {
+  return User.findOneAndUpdate(
+    {
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      isEmailVerified: true,
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
 };
 
 // @desc    Register user
@@ -93,15 +213,26 @@ router.post('/register', [
     }
 
     // Create user
-    const user = await User.create({
+    const user = new User({
       firstName,
       lastName,
       email,
       phone,
       password
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    // Don't fail registration if the verification email can't be sent
+    try {
+      await sendVerificationEmail(user, verificationToken, req);
+    } catch (emailError) {
+      console.error('Error sending verification email:', emailError);
+    }
 
-    sendTokenResponse(user, 201, res);
+    await recordAudit(req, { action: 'auth.register', actor: user, targetType: 'User', targetId: user._id });
+
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({
@@ -114,7 +245,7 @@ router.post('/register', [
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-router.post('/login', [
+router.post('/login', loginLimiter, [
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -140,12 +271,20 @@ router.post('/login', [
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordUnknownLogin(email, req);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials'
       });
     }
 
+    if (user.deletedAt) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'This account has been deleted. Contact support to restore it.'
+      });
+    }
+
     // Check if account is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -154,13 +293,67 @@ router.post('/login', [
       });
     }
 
+    // Locked accounts and progressive delays are checked before the password
+    const block = await beginLoginAttempt(user);
+    if (block) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: block.statusCode === 423 ? 'locked' : 'throttled' }
+      });
+
+      if (block.retryAfterSeconds) {
+        res.set('Retry-After', String(block.retryAfterSeconds));
+      }
+      return res.status(block.statusCode).json({
+        status: 'error',
+        message: block.message,
+        ...(block.lockUntil && { lockUntil: block.lockUntil }),
+        ...(block.retryAfterSeconds && { retryAfterSeconds: block.retryAfterSeconds })
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
-      return res.status(401).json({
+      const locked = await recordLoginFailure(user, req);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'invalid_password', locked }
+      });
+      return res.status(locked ? 423 : 401).json({
         status: 'error',
-        message: 'Invalid credentials'
+        message: locked
+          ? 'Account is temporarily locked due to too many failed login attempts. Try again later or reset your password.'
+          : 'Invalid credentials'
+      });
+    }
+
+    await recordLoginSuccess(user, req);
+
+    // With 2FA the password only earns a challenge token for the second step
+    const twoFactorMethods = await getLoginMethods(user);
+    const twoFactorSetupRequired = await isEnrollmentRequired(user);
+    if (twoFactorMethods.length > 0 || twoFactorSetupRequired) {
+      // SMS-first accounts are texted a code straight away. Without a gateway,
+      // SMS 2FA accounts finish with a backup code and unenrolled accounts by
+      // setting up an authenticator app with the challenge token.
+      const sms = twoFactorMethods[0] === 'sms' && isSmsAvailable() ? await sendLoginCode(user) : undefined;
+
+      return res.status(200).json({
+        status: 'success',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+        methods: twoFactorMethods,
+        // Enforced for the user's role but not enrolled yet
+        twoFactorSetupRequired,
+        ...(sms && { sms })
       });
     }
 
@@ -168,7 +361,15 @@ router.post('/login', [
     user.lastLogin = new Date();
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { method: 'password' }
+    });
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -178,6 +379,120 @@ router.post('/login', [
   }
 });
 
+// @desc    Verify email from the emailed link
+// @route   GET /api/auth/verify-email
+// @access  Public
+router.get('/verify-email', [
+  query('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token')
+], async (req, res) => {
+  const redirectUrl = process.env.EMAIL_VERIFICATION_REDIRECT_URL;
+
+  try {
+    const errors = validationResult(req);
+    const user = errors.isEmpty() ? await consumeEmailVerificationToken(req.query.token) : null;
+
+    // Browsers following the email link go back to the app when configured
+    if (redirectUrl) {
+      return res.redirect(`${redirectUrl}?status=${user ? 'success' : 'error'}`);
+    }
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Verify email with a token
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeEmailVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    const emailSent = await sendVerificationEmail(user, verificationToken, req);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent',
+      emailSent
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -198,6 +513,76 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @desc    Download everything held about the current user as a zip
+// @route   GET /api/auth/me/export
+// @access  Private
+router.get('/me/export', protect, accountExportLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    await recordAudit(req, { action: 'user.export', targetType: 'User', targetId: user._id });
+    await streamAccountExport(req, res, user);
+  } catch (error) {
+    console.error('Account export error:', error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete the current user's account. It can be restored by
+//          support until the restore window ends.
+// @route   DELETE /api/auth/me
+// @access  Private
+router.delete('/me', protect, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const current = await User.findById(req.user.id).select('+password');
+
+    if (!await current.comparePassword(req.body.password)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const user = await softDeleteUser(current._id, current._id);
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: current._id,
+      metadata: { self: true, restoreUntil: user && user.getRestoreDeadline() }
+    });
+
+    clearAuthCookies(res);
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account has been deleted',
+      restoreUntil: user && user.getRestoreDeadline()
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -291,16 +676,252 @@ router.put('/change-password', protect, [
       });
     }
 
-    // Update password
+    // Update password and log out every device, then start a fresh session
     user.password = newPassword;
     await user.save();
+    await revokeUserSessions(user._id, 'password_change');
+    await recordAudit(req, { action: 'auth.password_change', targetType: 'User', targetId: user._id });
+
+    await sendTokenResponse(user, 200, req, res, 'Password updated successfully');
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', passwordResetIpLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], forgotPasswordAccountLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      await recordAudit(req, {
+        action: 'auth.password_reset_request',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id
+      });
+
+      // Not awaited so the response time doesn't reveal whether the account exists
+      sendPasswordResetEmail(user, resetToken).catch((emailError) => {
+        console.error('Error sending password reset email:', emailError);
+      });
+    }
+
+    // Same response whether or not the email is registered
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', passwordResetIpLimiter, resetPasswordAccountLimiter, [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Claim the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      {
+        failedLoginAttempts: 0,
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1, lockUntil: 1, lastFailedLoginAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    // Saving sets passwordChangedAt, which invalidates existing tokens
+    user.password = req.body.password;
+    await user.save();
+    await revokeUserSessions(user._id, 'password_reset');
+    await recordAudit(req, { action: 'auth.password_reset', actor: user, targetType: 'User', targetId: user._id });
 
     res.status(200).json({
       status: 'success',
-      message: 'Password updated successfully'
+      message: 'Password has been reset. Please log in with your new password.'
     });
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (!result) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token is invalid or has expired. Please log in again.'
+      });
+    }
+
+    setAuthCookies(res, result.token, result.refreshToken, result.session.expiresAt);
+
+    res.status(200).json({
+      status: 'success',
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get logged-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log out a device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: { $exists: false }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'user_revoked');
+    await recordAudit(req, { action: 'auth.session_revoke', targetType: 'Session', targetId: session._id });
+
+    if (session._id.equals(req.authSession._id)) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -311,16 +932,23 @@ router.put('/change-password', protect, [
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+    await recordAudit(req, { action: 'auth.logout', targetType: 'Session', targetId: req.authSession._id });
+    clearAuthCookies(res);
 
-  res.status(200).json({
-    status: 'success',
-    message: 'Logged out successfully'
-  });
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
 });
 
 module.exports = router;
@@ -1,33 +1,226 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { body, header, validationResult } = require('express-validator');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { getPaymentProvider, applyPaymentResult } = require('../services/payments');
+const { recordAudit } = require('../services/audit');
+const { streamInvoicePdf, streamReceiptPdf } = require('../services/invoicePdf');
+const { runBillingRun } = require('../jobs/billingRun');
 
 const router = express.Router();
 
-// Mock bill data - in a real app, this would come from your billing system
-const mockBills = [
-  {
-    id: '1',
-    billNumber: 'FR-2024-001',
-    amount: 45.00,
-    dueDate: '2024-02-15',
-    status: 'paid',
-    service: 'Internet - 10Mbps',
-    period: 'January 2024',
-    createdAt: '2024-01-01',
-    paidAt: '2024-01-10'
-  },
-  {
-    id: '2',
-    billNumber: 'FR-2024-002',
-    amount: 45.00,
-    dueDate: '2024-03-15',
-    status: 'pending',
-    service: 'Internet - 10Mbps',
-    period: 'February 2024',
-    createdAt: '2024-02-01'
+// Methods settled asynchronously through the payment gateway
+const GATEWAY_METHODS = ['ecocash', 'paynow'];
+
+const generatePaymentReference = (bill) =>
+  `${bill.billNumber}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// Identifies the payload an Idempotency-Key was first used with
+const createRequestFingerprint = (req) => {
+  const { paymentMethod, amount, reference, phone } = req.body;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.params.id, paymentMethod, parseFloat(amount), reference || null, phone || null]))
+    .digest('hex');
+};
+
+// Sends the original response for a repeated Idempotency-Key. Returns true when
+// a response was sent.
+const replayIdempotentResponse = async (req, res, idempotencyKey, fingerprint) => {
+  const existing = await Payment.findOne({ user: req.user.id, idempotencyKey })
+    .select('+idempotencyFingerprint +idempotencyResponse');
+
+  if (!existing) return false;
+
+  if (existing.idempotencyFingerprint !== fingerprint) {
+    res.status(422).json({
+      status: 'error',
+      message: 'Idempotency-Key has already been used for a different request'
+    });
+    return true;
+  }
+
+  if (!existing.idempotencyResponse || !existing.idempotencyResponse.statusCode) {
+    res.status(409).json({
+      status: 'error',
+      message: 'The original request with this Idempotency-Key is still being processed'
+    });
+    return true;
   }
-];
+
+  res.set('Idempotent-Replayed', 'true')
+    .status(existing.idempotencyResponse.statusCode)
+    .json(existing.idempotencyResponse.body);
+  return true;
+};
+
+// Pending gateway payments older than this are checked with the provider and
+// cancelled if still unpaid, so an abandoned checkout doesn't block the bill.
+// Cash and bank transfer payments stay pending until staff review them.
+const PENDING_PAYMENT_EXPIRY_MS = (parseInt(process.env.PAYMENT_PENDING_EXPIRY_MINUTES) || 30) * 60 * 1000;
+
+const findActivePendingPayment = async (bill) => {
+  let pending = await Payment.findOne({ bill: bill._id, status: 'pending' });
+
+  if (pending && pending.provider && Date.now() - pending.createdAt.getTime() > PENDING_PAYMENT_EXPIRY_MS) {
+    let result = { status: 'cancelled', providerStatus: 'Expired' };
+
+    if (pending.pollUrl) {
+      try {
+        const polled = await getPaymentProvider(pending.provider).poll(pending.pollUrl);
+        if (polled.status !== 'pending') result = polled;
+      } catch (pollError) {
+        console.error('Payment poll error:', pollError.message);
+      }
+    }
+
+    pending = await applyPaymentResult(pending, result);
+  }
+
+  return pending && pending.status === 'pending' ? pending : null;
+};
+
+// Runs a payment attempt while the bill's payment lock is held
+const processPayment = async (req, bill, { idempotencyKey, fingerprint }) => {
+  if (bill.status === 'paid') {
+    return {
+      statusCode: 400,
+      body: { status: 'error', message: 'Bill has already been paid' }
+    };
+  }
+
+  if (bill.status === 'cancelled') {
+    return {
+      statusCode: 400,
+      body: { status: 'error', message: 'Bill has been cancelled' }
+    };
+  }
+
+  const { paymentMethod, reference } = req.body;
+  const amount = parseFloat(req.body.amount);
+
+  if (amount !== bill.totalDue) {
+    return {
+      statusCode: 400,
+      body: {
+        status: 'error',
+        message: `Payment amount must match the amount due of ${bill.totalDue.toFixed(2)}`
+      }
+    };
+  }
+
+  const pendingPayment = await findActivePendingPayment(bill);
+  if (pendingPayment) {
+    return {
+      statusCode: 409,
+      body: {
+        status: 'error',
+        message: 'A payment for this bill is already pending',
+        payment: pendingPayment
+      }
+    };
+  }
+
+  const idempotencyFields = idempotencyKey
+    ? { idempotencyKey, idempotencyFingerprint: fingerprint }
+    : {};
+
+  // Mobile money and Paynow payments complete asynchronously via the gateway
+  if (GATEWAY_METHODS.includes(paymentMethod)) {
+    const provider = getPaymentProvider();
+
+    const payment = await Payment.create({
+      user: req.user.id,
+      bill: bill._id,
+      amount,
+      currency: bill.currency,
+      paymentMethod,
+      reference: generatePaymentReference(bill),
+      status: 'pending',
+      provider: provider.name,
+      phone: paymentMethod === 'ecocash' ? (req.body.phone || req.user.phone) : undefined,
+      ...idempotencyFields
+    });
+
+    try {
+      const transaction = await provider.initiate({
+        reference: payment.reference,
+        amount,
+        description: `${bill.billNumber} - ${bill.service} (${bill.period})`,
+        email: req.user.email,
+        phone: payment.phone,
+        method: paymentMethod === 'ecocash' ? 'ecocash' : undefined
+      });
+
+      payment.providerReference = transaction.providerReference;
+      payment.pollUrl = transaction.pollUrl;
+      payment.redirectUrl = transaction.redirectUrl;
+      payment.instructions = transaction.instructions;
+      await payment.save();
+    } catch (providerError) {
+      console.error('Payment provider error:', providerError.message);
+      payment.status = 'failed';
+      payment.failureReason = providerError.message;
+      payment.processedAt = new Date();
+      await payment.save();
+
+      return {
+        statusCode: 502,
+        payment,
+        body: {
+          status: 'error',
+          message: 'Unable to start payment with the payment provider. Please try again.'
+        }
+      };
+    }
+
+    return {
+      statusCode: 202,
+      payment,
+      body: {
+        status: 'success',
+        message: 'Payment initiated. Complete it using the instructions provided.',
+        payment,
+        bill
+      }
+    };
+  }
+
+  // Cash and bank transfers can't be verified here, so they wait for staff
+  // to confirm the money arrived before the bill is settled
+  const payment = await Payment.create({
+    user: req.user.id,
+    bill: bill._id,
+    amount,
+    currency: bill.currency,
+    paymentMethod,
+    reference: reference || `REF-${Date.now()}`,
+    status: 'pending',
+    ...idempotencyFields
+  });
+
+  return {
+    statusCode: 202,
+    payment,
+    body: {
+      status: 'success',
+      message: 'Payment recorded. Your bill will be updated once we confirm the payment has been received.',
+      payment,
+      bill
+    }
+  };
+};
+
+// Cash and bank transfer payments awaiting review, or null
+const findManualPendingPayment = async (paymentId) => (
+  mongoose.isValidObjectId(paymentId)
+    ? Payment.findOne({ _id: paymentId, status: 'pending', provider: { $exists: false } })
+    : null
+);
 
 // @desc    Get user's bills
 // @route   GET /api/bills
@@ -36,27 +229,28 @@ router.get('/', protect, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
     const status = req.query.status;
 
-    let bills = [...mockBills];
-
-    // Filter by status if provided
+    const filter = { user: req.user.id };
     if (status) {
-      bills = bills.filter(bill => bill.status === status);
+      filter.status = status;
     }
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedBills = bills.slice(startIndex, endIndex);
+    const bills = await Bill.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Bill.countDocuments(filter);
 
     res.status(200).json({
       status: 'success',
-      count: paginatedBills.length,
-      total: bills.length,
+      count: bills.length,
+      total,
       page,
-      pages: Math.ceil(bills.length / limit),
-      bills: paginatedBills
+      pages: Math.ceil(total / limit),
+      bills
     });
   } catch (error) {
     console.error('Get bills error:', error);
@@ -67,26 +261,211 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// @desc    Get single bill
-// @route   GET /api/bills/:id
+// @desc    Get payment history
+// @route   GET /api/bills/payments
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/payments', protect, async (req, res) => {
   try {
-    const bill = mockBills.find(b => b.id === req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
 
-    if (!bill) {
+    const filter = { user: req.user.id };
+
+    const payments = await Payment.find(filter)
+      .populate('bill', 'billNumber service period')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Payment.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      count: payments.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      payments
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Run billing for completed subscription cycles (Admin only)
+// @route   POST /api/bills/billing-run
+// @access  Private/Admin
+router.post('/billing-run', protect, requirePermission('billing:run'), [
+  body('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('asOf must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+
+    if (asOf > new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot run billing for a future date'
+      });
+    }
+
+    const summary = await runBillingRun(asOf);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Billing run completed',
+      summary
+    });
+  } catch (error) {
+    console.error('Billing run error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get overdue bills with late fees and suspension flags (Admin only)
+// @route   GET /api/bills/admin/overdue
+// @access  Private/Admin
+router.get('/admin/overdue', protect, requirePermission('bills:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: 'overdue' };
+    if (req.query.flagged === 'true') filter.suspensionFlaggedAt = { $exists: true };
+
+    const bills = await Bill.find(filter)
+      .populate('user', 'firstName lastName email phone')
+      .populate('subscription', 'status suspension')
+      .sort({ dueDate: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Bill.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      count: bills.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      bills
+    });
+  } catch (error) {
+    console.error('Get overdue bills error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get cash and bank transfer payments awaiting confirmation
+// @route   GET /api/bills/admin/payments/pending
+// @access  Private (payments:confirm)
+router.get('/admin/payments/pending', protect, requirePermission('payments:confirm'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: 'pending', provider: { $exists: false } };
+
+    const payments = await Payment.find(filter)
+      .populate('user', 'firstName lastName email phone')
+      .populate('bill', 'billNumber service period status totalDue')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Payment.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      count: payments.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      payments
+    });
+  } catch (error) {
+    console.error('Get pending payments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm a cash or bank transfer payment was received and settle the bill
+// @route   PUT /api/bills/payments/:paymentId/confirm
+// @access  Private (payments:confirm)
+router.put('/payments/:paymentId/confirm', protect, requirePermission('payments:confirm'), async (req, res) => {
+  try {
+    const payment = await findManualPendingPayment(req.params.paymentId);
+
+    if (!payment) {
       return res.status(404).json({
         status: 'error',
-        message: 'Bill not found'
+        message: 'Pending payment not found'
+      });
+    }
+
+    const bill = await Bill.findById(payment.bill).select('status');
+
+    if (!bill || ['paid', 'cancelled'].includes(bill.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bill is no longer awaiting payment'
+      });
+    }
+
+    const confirmed = await applyPaymentResult(payment, { status: 'paid' });
+
+    if (confirmed.status !== 'paid') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Payment has already been reviewed',
+        payment: confirmed
       });
     }
 
+    await recordAudit(req, {
+      action: 'payment.confirm',
+      targetType: 'Payment',
+      targetId: confirmed._id,
+      before: payment,
+      after: confirmed,
+      fields: ['status', 'processedAt']
+    });
+
     res.status(200).json({
       status: 'success',
-      bill
+      message: 'Payment confirmed',
+      payment: confirmed,
+      bill: await Bill.findById(confirmed.bill)
     });
   } catch (error) {
-    console.error('Get bill error:', error);
+    console.error('Confirm payment error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -94,21 +473,15 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Pay bill
-// @route   POST /api/bills/:id/pay
-// @access  Private
-router.post('/:id/pay', protect, [
-  body('paymentMethod')
-    .isIn(['ecocash', 'paynow', 'bank_transfer', 'cash'])
-    .withMessage('Invalid payment method'),
-  body('amount')
-    .isFloat({ min: 0.01 })
-    .withMessage('Amount must be greater than 0'),
-  body('reference')
+// @desc    Reject a cash or bank transfer payment that was never received
+// @route   PUT /api/bills/payments/:paymentId/reject
+// @access  Private (payments:confirm)
+router.put('/payments/:paymentId/reject', protect, requirePermission('payments:confirm'), [
+  body('reason')
     .optional()
     .trim()
-    .isLength({ min: 3 })
-    .withMessage('Reference must be at least 3 characters')
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -120,7 +493,63 @@ router.post('/:id/pay', protect, [
       });
     }
 
-    const bill = mockBills.find(b => b.id === req.params.id);
+    const payment = await findManualPendingPayment(req.params.paymentId);
+
+    if (!payment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pending payment not found'
+      });
+    }
+
+    const rejected = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      {
+        status: 'failed',
+        processedAt: new Date(),
+        failureReason: req.body.reason || 'Payment was not received'
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Payment has already been reviewed'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'payment.reject',
+      targetType: 'Payment',
+      targetId: rejected._id,
+      before: payment,
+      after: rejected,
+      fields: ['status', 'processedAt', 'failureReason']
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payment rejected',
+      payment: rejected
+    });
+  } catch (error) {
+    console.error('Reject payment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Waive a bill's late fee (Admin only)
+// @route   PUT /api/bills/:id/late-fee/waive
+// @access  Private/Admin
+router.put('/:id/late-fee/waive', protect, requirePermission('bills:waive-fee'), async (req, res) => {
+  try {
+    const bill = mongoose.isValidObjectId(req.params.id)
+      ? await Bill.findById(req.params.id)
+      : null;
 
     if (!bill) {
       return res.status(404).json({
@@ -129,6 +558,13 @@ router.post('/:id/pay', protect, [
       });
     }
 
+    if (!bill.lateFee || !bill.lateFee.appliedAt || bill.lateFee.waivedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bill has no late fee to waive'
+      });
+    }
+
     if (bill.status === 'paid') {
       return res.status(400).json({
         status: 'error',
@@ -136,32 +572,102 @@ router.post('/:id/pay', protect, [
       });
     }
 
-    const { paymentMethod, amount, reference } = req.body;
+    bill.lateFee.waivedAt = new Date();
+    bill.lateFee.waivedBy = req.user.id;
+    await bill.save();
 
-    // Simulate payment processing
-    const payment = {
-      id: `PAY-${Date.now()}`,
-      billId: bill.id,
-      amount,
-      paymentMethod,
-      reference: reference || `REF-${Date.now()}`,
-      status: 'completed',
-      processedAt: new Date().toISOString(),
-      userId: req.user.id
-    };
+    res.status(200).json({
+      status: 'success',
+      message: 'Late fee waived',
+      bill
+    });
+  } catch (error) {
+    console.error('Waive late fee error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Payment gateway result callback
+// @route   POST /api/bills/payments/result
+// @access  Public (verified by provider hash)
+router.post('/payments/result', async (req, res) => {
+  try {
+    const { reference } = req.body;
+
+    const payment = reference
+      ? await Payment.findOne({ reference, provider: { $exists: true } })
+      : null;
 
-    // Update bill status
-    bill.status = 'paid';
-    bill.paidAt = new Date().toISOString();
+    if (!payment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Payment not found'
+      });
+    }
+
+    let result;
+    try {
+      result = getPaymentProvider(payment.provider).parseResult(req.body);
+    } catch (verifyError) {
+      console.warn(`Rejected payment result for ${reference}:`, verifyError.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid payment result'
+      });
+    }
+
+    await applyPaymentResult(payment, result);
+
+    res.status(200).json({
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Payment result error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get payment status (polls the gateway while pending)
+// @route   GET /api/bills/payments/:paymentId/status
+// @access  Private
+router.get('/payments/:paymentId/status', protect, async (req, res) => {
+  try {
+    let payment = mongoose.isValidObjectId(req.params.paymentId)
+      ? await Payment.findOne({ _id: req.params.paymentId, user: req.user.id })
+      : null;
+
+    if (!payment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status === 'pending' && payment.provider && payment.pollUrl) {
+      try {
+        const result = await getPaymentProvider(payment.provider).poll(payment.pollUrl);
+        payment = await applyPaymentResult(payment, result);
+      } catch (pollError) {
+        // Fall back to the stored status; the result callback may still arrive
+        console.error('Payment poll error:', pollError.message);
+      }
+    }
+
+    const bill = await Bill.findById(payment.bill).select('billNumber status paidAt');
 
     res.status(200).json({
       status: 'success',
-      message: 'Payment processed successfully',
       payment,
       bill
     });
   } catch (error) {
-    console.error('Pay bill error:', error);
+    console.error('Get payment status error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -169,30 +675,183 @@ router.post('/:id/pay', protect, [
   }
 });
 
-// @desc    Get payment history
-// @route   GET /api/bills/payments
+// @desc    Download payment receipt
+// @route   GET /api/bills/payments/:paymentId/receipt.pdf
 // @access  Private
-router.get('/payments', protect, async (req, res) => {
+router.get('/payments/:paymentId/receipt.pdf', protect, async (req, res) => {
   try {
-    // Mock payment history
-    const payments = [
-      {
-        id: 'PAY-001',
-        billNumber: 'FR-2024-001',
-        amount: 45.00,
-        paymentMethod: 'ecocash',
-        reference: 'EC123456789',
-        status: 'completed',
-        processedAt: '2024-01-10T10:30:00Z'
-      }
-    ];
+    const payment = mongoose.isValidObjectId(req.params.paymentId)
+      ? await Payment.findOne({ _id: req.params.paymentId, user: req.user.id }).populate('bill')
+      : null;
+
+    if (!payment || !payment.bill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'paid') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Receipts are only available for completed payments'
+      });
+    }
+
+    streamReceiptPdf(res, { payment, bill: payment.bill, user: req.user });
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single bill
+// @route   GET /api/bills/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const bill = mongoose.isValidObjectId(req.params.id)
+      ? await Bill.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!bill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bill not found'
+      });
+    }
 
     res.status(200).json({
       status: 'success',
-      payments
+      bill
     });
   } catch (error) {
-    console.error('Get payments error:', error);
+    console.error('Get bill error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Download bill invoice
+// @route   GET /api/bills/:id/invoice.pdf
+// @access  Private
+router.get('/:id/invoice.pdf', protect, async (req, res) => {
+  try {
+    const bill = mongoose.isValidObjectId(req.params.id)
+      ? await Bill.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!bill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bill not found'
+      });
+    }
+
+    streamInvoicePdf(res, { bill, user: req.user });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Pay bill
+// @route   POST /api/bills/:id/pay
+// @access  Private
+router.post('/:id/pay', protect, requireVerifiedEmail, [
+  header('Idempotency-Key')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Idempotency-Key must be between 1 and 255 characters'),
+  body('paymentMethod')
+    .isIn(['ecocash', 'paynow', 'bank_transfer', 'cash'])
+    .withMessage('Invalid payment method'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ min: 3 })
+    .withMessage('Reference must be at least 3 characters'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    const fingerprint = createRequestFingerprint(req);
+
+    // Replay the stored response for a retried request
+    if (idempotencyKey) {
+      const replayed = await replayIdempotentResponse(req, res, idempotencyKey, fingerprint);
+      if (replayed) return;
+    }
+
+    const billExists = mongoose.isValidObjectId(req.params.id)
+      && await Bill.exists({ _id: req.params.id, user: req.user.id });
+
+    if (!billExists) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bill not found'
+      });
+    }
+
+    // Serialize payment attempts on this bill so only one can create a payment
+    const lockOwner = crypto.randomUUID();
+    const bill = await Bill.acquirePaymentLock(req.params.id, req.user.id, lockOwner);
+
+    if (!bill) {
+      if (idempotencyKey) {
+        const replayed = await replayIdempotentResponse(req, res, idempotencyKey, fingerprint);
+        if (replayed) return;
+      }
+
+      return res.status(409).json({
+        status: 'error',
+        message: 'A payment for this bill is already being processed. Please try again shortly.'
+      });
+    }
+
+    try {
+      const { statusCode, body: responseBody, payment } = await processPayment(req, bill, {
+        idempotencyKey,
+        fingerprint
+      });
+
+      if (payment && payment.idempotencyKey) {
+        await Payment.updateOne(
+          { _id: payment._id },
+          { idempotencyResponse: { statusCode, body: JSON.parse(JSON.stringify(responseBody)) } }
+        );
+      }
+
+      res.status(statusCode).json(responseBody);
+    } finally {
+      await Bill.releasePaymentLock(bill._id, lockOwner);
+    }
+  } catch (error) {
+    console.error('Pay bill error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -0,0 +1,231 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const OtpCode = require('../models/OtpCode');
+const { sendTokenResponse } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const { sendOtp, verifyOtp } = require('../services/otp');
+const { isSmsAvailable } = require('../services/sms');
+const { normalizePhone } = require('../services/phone');
+const { isEnrollmentRequired, getLoginMethods, createChallengeToken } = require('../services/twoFactor');
+
+const router = express.Router();
+
+const getMaxFailures = () => parseInt(process.env.PHONE_LOGIN_MAX_FAILURES) || 5;
+const getLockMinutes = () => parseInt(process.env.PHONE_LOGIN_LOCK_MINUTES) || 15;
+
+const otpRequestIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    status: 'error',
+    message: 'Too many code requests. Please try again later.'
+  }
+});
+
+const otpRequestPhoneLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  keyGenerator: (req) => `otp:${normalizePhone(req.body.phone)}`,
+  message: {
+    status: 'error',
+    message: 'Too many codes requested for this number. Please try again later.'
+  }
+});
+
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    status: 'error',
+    message: 'Too many login attempts. Please try again later.'
+  }
+});
+
+const phoneValidation = body('phone')
+  .trim()
+  .matches(/^\+?[\d\s-()]{7,20}$/)
+  .withMessage('Please provide a valid phone number');
+
+// Find the single active account for a phone number. Numbers shared by more
+// than one account can't be used to log in.
+const findUserByPhone = async (phone) => {
+  const users = await User.find({
+    $or: [{ phoneNormalized: normalizePhone(phone) }, { phone }],
+    isActive: true
+  }).limit(2);
+
+  return users.length === 1 ? users[0] : null;
+};
+
+const isLocked = (user) => Boolean(user.otpLogin.lockUntil && user.otpLogin.lockUntil > new Date());
+
+// Count a failed code and lock phone login once the limit is reached
+const recordFailure = async (user) => {
+  const failedAttempts = (user.otpLogin.failedAttempts || 0) + 1;
+
+  if (failedAttempts >= getMaxFailures()) {
+    await User.updateOne({ _id: user._id }, {
+      'otpLogin.failedAttempts': 0,
+      'otpLogin.lockUntil': new Date(Date.now() + getLockMinutes() * 60 * 1000)
+    });
+    // Outstanding codes die with the lock
+    await OtpCode.deleteMany({ user: user._id, purpose: 'phone_login' });
+    return true;
+  }
+
+  await User.updateOne({ _id: user._id }, { $inc: { 'otpLogin.failedAttempts': 1 } });
+  return false;
+};
+
+// @desc    Text a login code to a registered phone number
+// @route   POST /api/auth/otp/request
+// @access  Public
+router.post('/request', otpRequestIpLimiter, [phoneValidation], otpRequestPhoneLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!isSmsAvailable()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'SMS codes are not available right now'
+      });
+    }
+
+    const user = await findUserByPhone(req.body.phone);
+
+    // Throttled and locked requests get the same response so it doesn't
+    // reveal which numbers are registered
+    if (user && !isLocked(user)) {
+      await sendOtp({
+        user,
+        phone: user.phone,
+        purpose: 'phone_login',
+        message: 'Your Frampol login code is {code}. It expires in {minutes} minutes. Never share it with anyone.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If this number is registered, a login code has been sent.'
+    });
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log in with a phone number and SMS code
+// @route   POST /api/auth/otp/verify
+// @access  Public
+router.post('/verify', otpVerifyLimiter, [
+  phoneValidation,
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserByPhone(req.body.phone);
+
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid phone number or code'
+      });
+    }
+
+    if (isLocked(user)) {
+      return res.status(423).json({
+        status: 'error',
+        message: 'Too many failed attempts. Phone login is temporarily locked.',
+        lockUntil: user.otpLogin.lockUntil
+      });
+    }
+
+    const isValid = await verifyOtp({ user, purpose: 'phone_login', code: req.body.code });
+
+    if (!isValid) {
+      const locked = await recordFailure(user);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { method: 'phone_otp', reason: 'invalid_code', locked }
+      });
+      return res.status(locked ? 423 : 401).json({
+        status: 'error',
+        message: locked
+          ? 'Too many failed attempts. Phone login is temporarily locked.'
+          : 'Invalid phone number or code'
+      });
+    }
+
+    user.otpLogin = { failedAttempts: 0 };
+
+    // The SMS code was the first factor, so 2FA users still need their
+    // authenticator app (or a backup code). SMS-only 2FA accounts use email.
+    const loginMethods = await getLoginMethods(user);
+    if (loginMethods.length > 0 || await isEnrollmentRequired(user)) {
+      const twoFactorMethods = loginMethods.filter((method) => method !== 'sms');
+      await user.save();
+
+      if (!twoFactorMethods.includes('totp')) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'This account requires two-factor authentication. Please log in with your email and password.'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user, twoFactorMethods),
+        methods: twoFactorMethods
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { method: 'phone_otp' }
+    });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during login'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ServicePlan = require('../models/ServicePlan');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Get available service plans
+// @route   GET /api/plans
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const plans = await ServicePlan.find({ isActive: true }).sort({ price: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: plans.length,
+      plans
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create service plan (Admin only)
+// @route   POST /api/plans
+// @access  Private/Admin
+router.post('/', protect, requirePermission('plans:manage'), [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Plan name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Plan code must be between 2 and 30 characters'),
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be 0 or more'),
+  body('speedMbps')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Speed must be 0 or more'),
+  body('dataLimit')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Data limit must be 0 or more'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, price, currency, speedMbps, dataLimit, description } = req.body;
+
+    const existingPlan = await ServicePlan.findOne({ code: code.toUpperCase() });
+    if (existingPlan) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Plan code already exists'
+      });
+    }
+
+    const plan = await ServicePlan.create({
+      name,
+      code,
+      price,
+      currency,
+      speedMbps,
+      dataLimit,
+      description
+    });
+
+    res.status(201).json({
+      status: 'success',
+      plan
+    });
+  } catch (error) {
+    console.error('Create plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update service plan (Admin only)
+// @route   PUT /api/plans/:id
+// @access  Private/Admin
+router.put('/:id', protect, requirePermission('plans:manage'), [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Plan name must be between 2 and 100 characters'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be 0 or more'),
+  body('speedMbps')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Speed must be 0 or more'),
+  body('dataLimit')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Data limit must be 0 or more'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Price changes apply to plan changes and new subscriptions; existing
+    // subscriptions keep the price recorded in their plan history
+    const updateData = {};
+    ['name', 'price', 'currency', 'speedMbps', 'dataLimit', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const plan = await ServicePlan.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Plan not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      plan
+    });
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
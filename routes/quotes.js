@@ -1,27 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const nodemailer = require('nodemailer');
 const QuoteRequest = require('../models/QuoteRequest');
-const { optionalAuth, protect, authorize } = require('../middleware/auth');
+const { optionalAuth, protect, requirePermission } = require('../middleware/auth');
+const { createTransporter } = require('../services/email');
+const { recordAudit } = require('../services/audit');
 require('dotenv').config();
 
 const router = express.Router();
 
-// Configure nodemailer transporter
-const createTransporter = () => {
-  // For development, you can use Gmail or other SMTP services
-  // For production, configure with your actual SMTP settings
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: process.env.SMTP_PORT || 587,
-    secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
-};
-
 // @desc    Request quote
 // @route   POST /api/quotes/request
 // @access  Public (optionally authenticated)
@@ -151,7 +137,7 @@ router.post('/request', optionalAuth, [
 // @desc    Get all quote requests (Admin/Support)
 // @route   GET /api/quotes
 // @access  Private/Admin/Support
-router.get('/', protect, authorize('admin', 'support'), async (req, res) => {
+router.get('/', protect, requirePermission('quotes:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -191,7 +177,7 @@ router.get('/', protect, authorize('admin', 'support'), async (req, res) => {
 // @desc    Get single quote request (Admin/Support)
 // @route   GET /api/quotes/:id
 // @access  Private/Admin/Support
-router.get('/:id', protect, authorize('admin', 'support'), async (req, res) => {
+router.get('/:id', protect, requirePermission('quotes:read'), async (req, res) => {
   try {
     const quoteRequest = await QuoteRequest.findById(req.params.id)
       .populate('user', 'firstName lastName email phone');
@@ -219,7 +205,7 @@ router.get('/:id', protect, authorize('admin', 'support'), async (req, res) => {
 // @desc    Update quote request status (Admin/Support)
 // @route   PUT /api/quotes/:id/status
 // @access  Private/Admin/Support
-router.put('/:id/status', protect, authorize('admin', 'support'), [
+router.put('/:id/status', protect, requirePermission('quotes:update'), [
   body('status')
     .isIn(['pending', 'contacted', 'quoted', 'closed'])
     .withMessage('Invalid status'),
@@ -241,6 +227,15 @@ router.put('/:id/status', protect, authorize('admin', 'support'), [
 
     const { status, notes } = req.body;
 
+    const before = await QuoteRequest.findById(req.params.id).select('status notes').lean();
+
+    if (!before) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote request not found'
+      });
+    }
+
     const quoteRequest = await QuoteRequest.findByIdAndUpdate(
       req.params.id,
       { 
@@ -250,12 +245,14 @@ router.put('/:id/status', protect, authorize('admin', 'support'), [
       { new: true }
     ).populate('user', 'firstName lastName email');
 
-    if (!quoteRequest) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Quote request not found'
-      });
-    }
+    await recordAudit(req, {
+      action: 'quote.status_change',
+      targetType: 'QuoteRequest',
+      targetId: quoteRequest._id,
+      before,
+      after: quoteRequest,
+      fields: ['status', 'notes']
+    });
 
     res.status(200).json({
       status: 'success',
@@ -0,0 +1,397 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const AgentProfile = require('../models/AgentProfile');
+const AssignmentRule = require('../models/AssignmentRule');
+const SupportTicket = require('../models/SupportTicket');
+const { protect, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { findAssignableStaff, getAgents } = require('../services/ticketRouting');
+
+const router = express.Router();
+
+const ISSUE_TYPES = SupportTicket.schema.path('issueType').enumValues;
+const PRIORITIES = SupportTicket.schema.path('priority').enumValues;
+
+const AGENT_FIELDS = ['skills', 'isAvailable', 'maxOpenTickets'];
+const RULE_FIELDS = ['name', 'order', 'conditions', 'agents', 'requiredSkills', 'isActive'];
+
+const pickFields = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Skills and tags are free-form labels compared case-insensitively
+const labelListValidation = (path, label) => [
+  body(path)
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage(`${label} must be an array of up to 50 entries`),
+  body(`${path}.*`)
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 40 })
+    .withMessage(`${label} entries must be between 1 and 40 characters`)
+];
+
+// Fields are required when creating and optional when updating
+const ruleValidation = ({ optional = false } = {}) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 80 })
+    .withMessage('Name must be between 2 and 80 characters'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('order must be a whole number')
+    .toInt(),
+  body('conditions')
+    .optional()
+    .isObject()
+    .withMessage('conditions must be an object'),
+  body('conditions.issueTypes')
+    .optional()
+    .isArray()
+    .withMessage('conditions.issueTypes must be an array'),
+  body('conditions.issueTypes.*')
+    .isIn(ISSUE_TYPES)
+    .withMessage('Invalid issue type'),
+  body('conditions.priorities')
+    .optional()
+    .isArray()
+    .withMessage('conditions.priorities must be an array'),
+  body('conditions.priorities.*')
+    .isIn(PRIORITIES)
+    .withMessage('Invalid priority level'),
+  ...labelListValidation('conditions.tags', 'conditions.tags'),
+  body('conditions.cities')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('conditions.cities must be an array of up to 50 cities'),
+  body('conditions.cities.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 80 })
+    .withMessage('Cities must be between 1 and 80 characters'),
+  body('agents')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('agents must be an array of up to 50 user IDs'),
+  body('agents.*')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+    .bail()
+    .custom(async (userId) => {
+      if (!await findAssignableStaff(userId)) {
+        throw new Error('Rules can only assign to active support staff');
+      }
+      return true;
+    }),
+  ...labelListValidation('requiredSkills', 'requiredSkills'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const ruleIdParam = param('id').isMongoId().withMessage('Invalid rule ID');
+
+// Only the known condition keys are stored
+const pickConditions = (conditions) => pickFields(conditions, ['issueTypes', 'priorities', 'tags', 'cities']);
+
+// @desc    List support agents with their routing settings and current load
+// @route   GET /api/admin/routing/agents
+// @access  Private (routing:manage)
+router.get('/agents', protect, requirePermission('routing:manage'), async (req, res) => {
+  try {
+    const agents = await getAgents();
+
+    res.status(200).json({
+      status: 'success',
+      count: agents.length,
+      agents: agents.map(({ profile, openTickets, maxOpenTickets }) => ({
+        ...profile.toObject(),
+        openTickets,
+        maxOpenTickets
+      }))
+    });
+  } catch (error) {
+    console.error('Get agents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Add a staff member to routing or update their settings
+// @route   PUT /api/admin/routing/agents/:userId
+// @access  Private (routing:manage)
+router.put('/agents/:userId', protect, requirePermission('routing:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  ...labelListValidation('skills', 'skills'),
+  body('isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('isAvailable must be a boolean')
+    .toBoolean(),
+  body('maxOpenTickets')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('maxOpenTickets must be between 1 and 1000')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await findAssignableStaff(req.params.userId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only active support staff can receive tickets'
+      });
+    }
+
+    const before = await AgentProfile.findOne({ user: req.params.userId }).lean();
+    const fields = pickFields(req.body, AGENT_FIELDS);
+    const update = {};
+
+    // null goes back to the AGENT_MAX_OPEN_TICKETS default
+    if (fields.maxOpenTickets === null) {
+      delete fields.maxOpenTickets;
+      update.$unset = { maxOpenTickets: 1 };
+    }
+    if (Object.keys(fields).length) {
+      update.$set = fields;
+    }
+
+    const profile = await AgentProfile.findOneAndUpdate(
+      { user: req.params.userId },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await recordAudit(req, {
+      action: 'routing.agent_update',
+      targetType: 'User',
+      targetId: profile.user,
+      before: before || {},
+      after: profile,
+      fields: AGENT_FIELDS
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: before ? 'Agent updated successfully' : 'Agent added to routing',
+      profile
+    });
+  } catch (error) {
+    console.error('Update agent error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Remove a staff member from automatic routing. Their tickets stay
+//          assigned.
+// @route   DELETE /api/admin/routing/agents/:userId
+// @access  Private (routing:manage)
+router.delete('/agents/:userId', protect, requirePermission('routing:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await AgentProfile.findOneAndDelete({ user: req.params.userId });
+
+    if (!profile) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Agent not found'
+      });
+    }
+
+    await recordAudit(req, { action: 'routing.agent_remove', targetType: 'User', targetId: profile.user, before: profile, fields: AGENT_FIELDS });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Agent removed from routing'
+    });
+  } catch (error) {
+    console.error('Remove agent error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List assignment rules in the order they are tried
+// @route   GET /api/admin/routing/rules
+// @access  Private (routing:manage)
+router.get('/rules', protect, requirePermission('routing:manage'), async (req, res) => {
+  try {
+    const rules = await AssignmentRule.find()
+      .populate('agents', 'firstName lastName email')
+      .sort({ order: 1, createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: rules.length,
+      rules
+    });
+  } catch (error) {
+    console.error('Get assignment rules error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create assignment rule
+// @route   POST /api/admin/routing/rules
+// @access  Private (routing:manage)
+router.post('/rules', protect, requirePermission('routing:manage'), ruleValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickFields(req.body, RULE_FIELDS);
+    if (fields.conditions) fields.conditions = pickConditions(fields.conditions);
+
+    const rule = await AssignmentRule.create(fields);
+    await recordAudit(req, { action: 'routing.rule_create', targetType: 'AssignmentRule', targetId: rule._id, after: rule });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Assignment rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Create assignment rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update assignment rule
+// @route   PUT /api/admin/routing/rules/:id
+// @access  Private (routing:manage)
+router.put('/rules/:id', protect, requirePermission('routing:manage'), [
+  ruleIdParam,
+  ...ruleValidation({ optional: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AssignmentRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment rule not found'
+      });
+    }
+
+    const before = rule.toObject();
+    const { conditions, ...fields } = pickFields(req.body, RULE_FIELDS);
+
+    rule.set(fields);
+    if (conditions) {
+      Object.entries(pickConditions(conditions)).forEach(([key, value]) => rule.set(`conditions.${key}`, value));
+    }
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'routing.rule_update',
+      targetType: 'AssignmentRule',
+      targetId: rule._id,
+      before,
+      after: rule,
+      fields: RULE_FIELDS
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Assignment rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Update assignment rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete assignment rule
+// @route   DELETE /api/admin/routing/rules/:id
+// @access  Private (routing:manage)
+router.delete('/rules/:id', protect, requirePermission('routing:manage'), [ruleIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment rule not found'
+      });
+    }
+
+    await recordAudit(req, { action: 'routing.rule_delete', targetType: 'AssignmentRule', targetId: rule._id, before: rule });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Assignment rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete assignment rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
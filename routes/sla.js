@@ -0,0 +1,546 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const SlaPolicy = require('../models/SlaPolicy');
+const SupportTicket = require('../models/SupportTicket');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { getCalendar, setBusinessHours, setExtraHolidays } = require('../services/sla');
+const { getZimbabweHolidays } = require('../services/holidays');
+
+const router = express.Router();
+
+const ISSUE_TYPES = SupportTicket.schema.path('issueType').enumValues;
+const PRIORITIES = SupportTicket.schema.path('priority').enumValues;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const POLICY_FIELDS = [
+  'name',
+  'issueType',
+  'priority',
+  'firstResponseMinutes',
+  'resolutionMinutes',
+  'businessHoursOnly',
+  'escalation',
+  'isActive'
+];
+
+// Fields are required when creating and optional when updating
+const policyValidation = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 80 })
+      .withMessage('Name must be between 2 and 80 characters'),
+    body('issueType')
+      .optional({ values: 'null' })
+      .isIn(ISSUE_TYPES)
+      .withMessage('Invalid issue type'),
+    body('priority')
+      .optional({ values: 'null' })
+      .isIn(PRIORITIES)
+      .withMessage('Invalid priority level'),
+    field('firstResponseMinutes')
+      .isInt({ min: 1 })
+      .withMessage('firstResponseMinutes must be a positive whole number')
+      .toInt(),
+    field('resolutionMinutes')
+      .isInt({ min: 1 })
+      .withMessage('resolutionMinutes must be a positive whole number')
+      .toInt(),
+    body('businessHoursOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('businessHoursOnly must be a boolean')
+      .toBoolean(),
+    body('escalation.warnAtPercent')
+      .optional()
+      .isInt({ min: 1, max: 99 })
+      .withMessage('warnAtPercent must be between 1 and 99')
+      .toInt(),
+    body('escalation.raisePriority')
+      .optional()
+      .isBoolean()
+      .withMessage('raisePriority must be a boolean')
+      .toBoolean(),
+    body('escalation.notifySupervisors')
+      .optional()
+      .isBoolean()
+      .withMessage('notifySupervisors must be a boolean')
+      .toBoolean(),
+    body('escalation.reassignTo')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid user ID')
+      .bail()
+      .custom(async (userId) => {
+        const user = await User.findOne({ _id: userId, isActive: true });
+        if (!user || !await hasPermission(user, 'tickets:respond')) {
+          throw new Error('Tickets can only be reassigned to active support staff');
+        }
+        return true;
+      }),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean()
+  ];
+};
+
+const policyIdParam = param('id').isMongoId().withMessage('Invalid policy ID');
+
+const pickPolicyFields = (source) => Object.fromEntries(
+  POLICY_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Same issue type / priority pair as an existing policy
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// @desc    List SLA policies
+// @route   GET /api/admin/sla/policies
+// @access  Private (sla:manage)
+router.get('/policies', protect, requirePermission('sla:manage'), async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find()
+      .populate('escalation.reassignTo', 'firstName lastName email')
+      .sort({ issueType: 1, priority: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: policies.length,
+      policies
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create SLA policy
+// @route   POST /api/admin/sla/policies
+// @access  Private (sla:manage)
+router.post('/policies', protect, requirePermission('sla:manage'), policyValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await SlaPolicy.create(pickPolicyFields(req.body));
+    await recordAudit(req, { action: 'sla.policy_create', targetType: 'SlaPolicy', targetId: policy._id, after: policy });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'SLA policy created successfully',
+      policy
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A policy for this issue type and priority already exists'
+      });
+    }
+    console.error('Create SLA policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update SLA policy. Changes apply to tickets opened afterwards.
+// @route   PUT /api/admin/sla/policies/:id
+// @access  Private (sla:manage)
+router.put('/policies/:id', protect, requirePermission('sla:manage'), [
+  policyIdParam,
+  ...policyValidation({ optional: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'SLA policy not found'
+      });
+    }
+
+    const before = policy.toObject();
+    const { escalation, ...fields } = pickPolicyFields(req.body);
+
+    policy.set(fields);
+    if (escalation) {
+      Object.entries(escalation).forEach(([key, value]) => policy.set(`escalation.${key}`, value));
+    }
+    await policy.save();
+
+    await recordAudit(req, {
+      action: 'sla.policy_update',
+      targetType: 'SlaPolicy',
+      targetId: policy._id,
+      before,
+      after: policy,
+      fields: POLICY_FIELDS
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'SLA policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A policy for this issue type and priority already exists'
+      });
+    }
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete SLA policy. Tickets already opened keep their targets.
+// @route   DELETE /api/admin/sla/policies/:id
+// @access  Private (sla:manage)
+router.delete('/policies/:id', protect, requirePermission('sla:manage'), [policyIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'SLA policy not found'
+      });
+    }
+
+    await recordAudit(req, { action: 'sla.policy_delete', targetType: 'SlaPolicy', targetId: policy._id, before: policy });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'SLA policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get business hours
+// @route   GET /api/admin/sla/business-hours
+// @access  Private (sla:manage)
+router.get('/business-hours', protect, requirePermission('sla:manage'), async (req, res) => {
+  try {
+    const { businessHours } = await getCalendar();
+
+    res.status(200).json({
+      status: 'success',
+      businessHours
+    });
+  } catch (error) {
+    console.error('Get business hours error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set business hours: { utcOffsetMinutes, days: [7 x { start, end } or null] }
+// @route   PUT /api/admin/sla/business-hours
+// @access  Private (sla:manage)
+router.put('/business-hours', protect, requirePermission('sla:manage'), [
+  body('utcOffsetMinutes')
+    .isInt({ min: -720, max: 840 })
+    .withMessage('utcOffsetMinutes must be between -720 and 840')
+    .toInt(),
+  body('days')
+    .isArray({ min: 7, max: 7 })
+    .withMessage('days must list 7 days, starting with Sunday')
+    .bail()
+    .custom((days) => {
+      days.forEach((hours, index) => {
+        if (hours === null) return;
+        if (!hours || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end) || hours.start >= hours.end) {
+          throw new Error(`Day ${index} must be null or { start, end } in HH:MM with start before end`);
+        }
+      });
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { businessHours: before } = await getCalendar();
+    const businessHours = {
+      utcOffsetMinutes: req.body.utcOffsetMinutes,
+      days: req.body.days.map(hours => (hours ? { start: hours.start, end: hours.end } : null))
+    };
+
+    await setBusinessHours(businessHours, req.user._id);
+    await recordAudit(req, {
+      action: 'sla.business_hours_update',
+      targetType: 'Setting',
+      before: { businessHours: before },
+      after: { businessHours }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Business hours updated',
+      businessHours
+    });
+  } catch (error) {
+    console.error('Update business hours error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List public holidays for a year, plus ad hoc holidays
+// @route   GET /api/admin/sla/holidays
+// @access  Private (sla:manage)
+router.get('/holidays', protect, requirePermission('sla:manage'), [
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('year must be between 2000 and 2100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const year = parseInt(req.query.year) || new Date().getUTCFullYear();
+    const { extraHolidays } = await getCalendar();
+
+    res.status(200).json({
+      status: 'success',
+      year,
+      holidays: getZimbabweHolidays(year),
+      extraHolidays: extraHolidays.filter(date => date.startsWith(`${year}-`))
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Replace the ad hoc holidays (e.g. declared election days)
+// @route   PUT /api/admin/sla/holidays
+// @access  Private (sla:manage)
+router.put('/holidays', protect, requirePermission('sla:manage'), [
+  body('dates')
+    .isArray({ max: 100 })
+    .withMessage('dates must be an array of up to 100 dates'),
+  body('dates.*')
+    .matches(DATE_PATTERN)
+    .withMessage('Dates must be YYYY-MM-DD')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('Invalid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { extraHolidays: before } = await getCalendar();
+    const setting = await setExtraHolidays(req.body.dates, req.user._id);
+
+    await recordAudit(req, {
+      action: 'sla.holidays_update',
+      targetType: 'Setting',
+      before: { extraHolidays: before },
+      after: { extraHolidays: setting.value }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Holidays updated',
+      extraHolidays: setting.value
+    });
+  } catch (error) {
+    console.error('Update holidays error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// Missing fields count as null in the expressions below
+const field = (path) => ({ $ifNull: [`$sla.${path}`, null] });
+
+const minutesBetween = (from, to) => ({ $divide: [{ $subtract: [to, from] }, 60 * 1000] });
+
+// Met, breached and still-running counts for one target. A target is
+// breached when it was met late, flagged by the escalation job, or is
+// still open past its due time.
+const targetStats = (prefix, doneAt, now) => {
+  const done = field(doneAt);
+  const due = field(`${prefix}DueAt`);
+  const isDone = { $ne: [done, null] };
+  const breached = {
+    $or: [
+      { $ne: [field(`${prefix}BreachedAt`), null] },
+      { $and: [isDone, { $gt: [done, due] }] },
+      { $and: [{ $not: [isDone] }, { $lt: [due, now] }] }
+    ]
+  };
+
+  return {
+    [`${prefix}Met`]: { $sum: { $cond: [{ $and: [isDone, { $not: [breached] }] }, 1, 0] } },
+    [`${prefix}Breached`]: { $sum: { $cond: [breached, 1, 0] } },
+    [`${prefix}AverageMinutes`]: { $avg: { $cond: [isDone, minutesBetween('$createdAt', done), null] } }
+  };
+};
+
+const summarize = (group) => {
+  const target = (prefix) => {
+    const met = group[`${prefix}Met`];
+    const breached = group[`${prefix}Breached`];
+    const decided = met + breached;
+
+    return {
+      met,
+      breached,
+      pending: group.tickets - decided,
+      compliancePercent: decided > 0 ? Math.round((met / decided) * 1000) / 10 : null,
+      averageMinutes: group[`${prefix}AverageMinutes`] === null
+        ? null
+        : Math.round(group[`${prefix}AverageMinutes`])
+    };
+  };
+
+  return {
+    tickets: group.tickets,
+    firstResponse: target('firstResponse'),
+    resolution: target('resolution')
+  };
+};
+
+// @desc    SLA compliance report for tickets opened in a period
+// @route   GET /api/admin/sla/report
+// @access  Private (sla:manage)
+router.get('/report', protect, requirePermission('sla:manage'), [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('issueType').optional().isIn(ISSUE_TYPES).withMessage('Invalid issue type'),
+  query('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority level')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    // Defaults to the last 30 days
+    const to = req.query.to ? new Date(req.query.to) : now;
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const match = {
+      createdAt: { $gte: from, $lte: to },
+      'sla.firstResponseDueAt': { $exists: true }
+    };
+    if (req.query.issueType) match.issueType = req.query.issueType;
+    if (req.query.priority) match.priority = req.query.priority;
+
+    const stats = {
+      tickets: { $sum: 1 },
+      ...targetStats('firstResponse', 'firstResponseAt', now),
+      ...targetStats('resolution', 'resolvedAt', now)
+    };
+
+    const [result] = await SupportTicket.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...stats } }],
+          byPriority: [{ $group: { _id: '$priority', ...stats } }, { $sort: { _id: 1 } }],
+          byIssueType: [{ $group: { _id: '$issueType', ...stats } }, { $sort: { _id: 1 } }]
+        }
+      }
+    ]);
+
+    const empty = { tickets: 0, firstResponseMet: 0, firstResponseBreached: 0, firstResponseAverageMinutes: null, resolutionMet: 0, resolutionBreached: 0, resolutionAverageMinutes: null };
+
+    res.status(200).json({
+      status: 'success',
+      from,
+      to,
+      overall: summarize(result.overall[0] || empty),
+      byPriority: result.byPriority.map(group => ({ priority: group._id, ...summarize(group) })),
+      byIssueType: result.byIssueType.map(group => ({ issueType: group._id, ...summarize(group) }))
+    });
+  } catch (error) {
+    console.error('SLA report error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,379 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const ServicePlan = require('../models/ServicePlan');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+
+const router = express.Router();
+
+// @desc    Get current user's subscriptions
+// @route   GET /api/subscriptions/me
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({
+      user: req.user.id,
+      status: { $ne: 'cancelled' }
+    })
+      .populate('plan')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: subscriptions.length,
+      subscriptions
+    });
+  } catch (error) {
+    console.error('Get my subscriptions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get all subscriptions (Admin only)
+// @route   GET /api/subscriptions
+// @access  Private/Admin
+router.get('/', protect, requirePermission('subscriptions:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.user && mongoose.isValidObjectId(req.query.user)) filter.user = req.query.user;
+
+    const subscriptions = await Subscription.find(filter)
+      .populate('user', 'firstName lastName email phone')
+      .populate('plan', 'name code price')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Subscription.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      count: subscriptions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      subscriptions
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get subscriptions flagged for suspension (Admin only)
+// @route   GET /api/subscriptions/suspensions
+// @access  Private/Admin
+router.get('/suspensions', protect, requirePermission('subscriptions:suspend'), async (req, res) => {
+  try {
+    const status = req.query.status || 'flagged';
+
+    const subscriptions = await Subscription.find({ 'suspension.status': status })
+      .populate('user', 'firstName lastName email phone')
+      .populate('plan', 'name code price')
+      .populate('suspension.bill', 'billNumber amount lateFee dueDate status')
+      .sort({ 'suspension.flaggedAt': 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: subscriptions.length,
+      subscriptions
+    });
+  } catch (error) {
+    console.error('Get suspensions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Review a suspension flag (Admin only)
+// @route   PUT /api/subscriptions/:id/suspension
+// @access  Private/Admin
+router.put('/:id/suspension', protect, requirePermission('subscriptions:suspend'), [
+  body('action')
+    .isIn(['suspend', 'override', 'reinstate'])
+    .withMessage('Action must be suspend, override or reinstate'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = mongoose.isValidObjectId(req.params.id)
+      ? await Subscription.findById(req.params.id)
+      : null;
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subscription not found'
+      });
+    }
+
+    const { action, note } = req.body;
+    const currentStatus = subscription.suspension && subscription.suspension.status;
+
+    if (action === 'reinstate' ? subscription.status !== 'suspended' : currentStatus !== 'flagged') {
+      return res.status(400).json({
+        status: 'error',
+        message: action === 'reinstate'
+          ? 'Subscription is not suspended'
+          : 'Subscription is not flagged for suspension'
+      });
+    }
+
+    if (action === 'suspend') {
+      subscription.status = 'suspended';
+      subscription.suspension.status = 'suspended';
+    } else if (action === 'override') {
+      subscription.suspension.status = 'overridden';
+    } else {
+      subscription.status = 'active';
+      subscription.suspension.status = 'cleared';
+    }
+
+    subscription.suspension.reviewedBy = req.user.id;
+    subscription.suspension.reviewedAt = new Date();
+    if (note) subscription.suspension.note = note;
+    await subscription.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Suspension updated',
+      subscription
+    });
+  } catch (error) {
+    console.error('Update suspension error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Subscribe a user to a plan (Admin only)
+// @route   POST /api/subscriptions
+// @access  Private/Admin
+router.post('/', protect, requirePermission('subscriptions:manage'), [
+  body('user')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('plan')
+    .isMongoId()
+    .withMessage('Invalid plan ID'),
+  body('billingDay')
+    .optional()
+    .isInt({ min: 1, max: 28 })
+    .withMessage('Billing day must be between 1 and 28'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('radiusUsername')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('RADIUS username must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user: userId, plan: planId, billingDay, startDate, radiusUsername } = req.body;
+
+    const [user, plan] = await Promise.all([
+      User.findById(userId),
+      ServicePlan.findOne({ _id: planId, isActive: true })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Plan not found'
+      });
+    }
+
+    if (radiusUsername && await Subscription.exists({ radiusUsername })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'RADIUS username is already assigned to another subscription'
+      });
+    }
+
+    const subscription = await Subscription.create({
+      user: user._id,
+      plan: plan._id,
+      billingDay: billingDay || 1,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      radiusUsername
+    });
+
+    res.status(201).json({
+      status: 'success',
+      subscription
+    });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Change subscription plan
+// @route   PUT /api/subscriptions/:id/plan
+// @access  Private (owner or admin)
+router.put('/:id/plan', protect, [
+  body('plan')
+    .isMongoId()
+    .withMessage('Invalid plan ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = mongoose.isValidObjectId(req.params.id)
+      ? await Subscription.findById(req.params.id)
+      : null;
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subscription not found'
+      });
+    }
+
+    // Users can only change their own plan unless they're admin
+    if (subscription.user.toString() !== req.user.id && !await hasPermission(req.user, 'subscriptions:manage')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to change this subscription'
+      });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subscription has been cancelled'
+      });
+    }
+
+    const plan = await ServicePlan.findOne({ _id: req.body.plan, isActive: true });
+
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Plan not found'
+      });
+    }
+
+    if (subscription.plan.toString() === plan._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subscription is already on this plan'
+      });
+    }
+
+    subscription.changePlan(plan);
+    await subscription.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Plan changed. The current cycle will be pro-rated.',
+      subscription
+    });
+  } catch (error) {
+    console.error('Change plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Cancel subscription (Admin only)
+// @route   PUT /api/subscriptions/:id/cancel
+// @access  Private/Admin
+router.put('/:id/cancel', protect, requirePermission('subscriptions:manage'), async (req, res) => {
+  try {
+    const subscription = mongoose.isValidObjectId(req.params.id)
+      ? await Subscription.findById(req.params.id)
+      : null;
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subscription not found'
+      });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subscription has already been cancelled'
+      });
+    }
+
+    subscription.cancel();
+    await subscription.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription cancelled',
+      subscription
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
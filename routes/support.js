@@ -1,14 +1,88 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
 const SupportTicket = require('../models/SupportTicket');
-const { protect, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AgentProfile = require('../models/AgentProfile');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { uploadAttachments } = require('../middleware/upload');
+const { prepareAttachments, storeAttachments, removeAttachments, openAttachment } = require('../services/attachments');
+const { subscribe, publishTicketEvent } = require('../services/ticketEvents');
+const { applySla, recordFirstResponse, getResolutionUpdate } = require('../services/sla');
+const { OPEN_STATUSES, findAssignableStaff, routeTicket } = require('../services/ticketRouting');
+const {
+  getTicketAudience,
+  serializeTicket,
+  serializeMessage,
+  serializeAssignee
+} = require('../services/ticketSerializer');
 
 const router = express.Router();
 
+const getHeartbeatSeconds = () => parseInt(process.env.TICKET_STREAM_HEARTBEAT_SECONDS) || 25;
+
+// Typing indicators fire on keystrokes, so cap them per user
+const typingLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  keyGenerator: (req) => req.user.id,
+  message: {
+    status: 'error',
+    message: 'Too many typing updates. Please slow down.'
+  }
+});
+
+// Event stream connections, including reconnects after network drops
+const streamLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20,
+  keyGenerator: (req) => req.user.id,
+  message: {
+    status: 'error',
+    message: 'Too many event stream connections. Please try again shortly.'
+  }
+});
+
+// Shape of a message in push events
+const toMessageEvent = (message, sender) => ({
+  _id: message._id,
+  sender: {
+    _id: sender._id,
+    firstName: sender.firstName,
+    lastName: sender.lastName,
+    role: sender.role
+  },
+  message: message.message,
+  isInternal: message.isInternal,
+  attachments: message.attachments,
+  timestamp: message.timestamp
+});
+
+// Expects assignedTo to be populated
+const publishAssignment = (ticket) => publishTicketEvent(ticket, 'ticket.assigned', ({ isStaff }) => ({
+  assignedTo: serializeAssignee(ticket.assignedTo, { isStaff })
+}));
+
+// Audit an assignment made by the router rather than a person. Call before
+// assignedTo is populated.
+const recordRouting = (ticket, before) => recordAudit(null, {
+  action: 'ticket.assign',
+  actor: null,
+  targetType: 'SupportTicket',
+  targetId: ticket._id,
+  before: { assignedTo: before && before.toString() },
+  after: { assignedTo: ticket.assignedTo.toString() },
+  fields: ['assignedTo'],
+  metadata: { method: ticket.routing.method, rule: ticket.routing.rule }
+});
+
 // @desc    Create support ticket
 // @route   POST /api/support/tickets
 // @access  Private
-router.post('/tickets', protect, [
+router.post('/tickets', protect, requireVerifiedEmail, uploadAttachments, [
   body('subject')
     .trim()
     .isLength({ min: 5, max: 200 })
@@ -42,6 +116,14 @@ router.post('/tickets', protect, [
       });
     }
 
+    const { attachments: files, error: attachmentError } = prepareAttachments(req.files);
+    if (attachmentError) {
+      return res.status(400).json({
+        status: 'error',
+        message: attachmentError
+      });
+    }
+
     const { subject, description, issueType, priority = 'medium' } = req.body;
 
     // Create ticket with initial message
@@ -58,11 +140,42 @@ router.post('/tickets', protect, [
       }]
     });
 
-    await ticket.save();
+    await applySla(ticket);
+
+    const attachments = await storeAttachments(ticket._id, files);
+    ticket.messages[0].attachments = attachments;
+
+    try {
+      await ticket.save();
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
+    }
+
+    publishTicketEvent(ticket, 'ticket.created', {
+      ticketNumber: ticket.ticketNumber,
+      subject: ticket.subject,
+      issueType: ticket.issueType,
+      priority: ticket.priority,
+      status: ticket.status
+    });
+
+    // A routing failure leaves the ticket in the unassigned queue rather
+    // than losing it
+    const routing = await routeTicket(ticket, req.user).catch((error) => {
+      console.error('Ticket routing error:', error);
+      return null;
+    });
+
+    if (routing) {
+      await recordRouting(ticket, null);
+      await ticket.populate('assignedTo', 'firstName lastName');
+      publishAssignment(ticket);
+    }
 
     res.status(201).json({
       status: 'success',
-      ticket
+      ticket: serializeTicket(ticket, await getTicketAudience(req.user))
     });
   } catch (error) {
     console.error('Create ticket error:', error);
@@ -96,6 +209,7 @@ router.get('/tickets', protect, async (req, res) => {
       .limit(limit);
 
     const total = await SupportTicket.countDocuments(filter);
+    const audience = await getTicketAudience(req.user);
 
     res.status(200).json({
       status: 'success',
@@ -103,7 +217,7 @@ router.get('/tickets', protect, async (req, res) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      tickets
+      tickets: tickets.map(ticket => serializeTicket(ticket, audience))
     });
   } catch (error) {
     console.error('Get tickets error:', error);
@@ -117,7 +231,7 @@ router.get('/tickets', protect, async (req, res) => {
 // @desc    Get all support tickets (Admin/Support)
 // @route   GET /api/support/tickets/all
 // @access  Private/Admin/Support
-router.get('/tickets/all', protect, authorize('admin', 'support'), async (req, res) => {
+router.get('/tickets/all', protect, requirePermission('tickets:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -137,6 +251,7 @@ router.get('/tickets/all', protect, authorize('admin', 'support'), async (req, r
       .limit(limit);
 
     const total = await SupportTicket.countDocuments(filter);
+    const audience = await getTicketAudience(req.user);
 
     res.status(200).json({
       status: 'success',
@@ -144,7 +259,7 @@ router.get('/tickets/all', protect, authorize('admin', 'support'), async (req, r
       total,
       page,
       pages: Math.ceil(total / limit),
-      tickets
+      tickets: tickets.map(ticket => serializeTicket(ticket, audience))
     });
   } catch (error) {
     console.error('Get all tickets error:', error);
@@ -155,6 +270,101 @@ router.get('/tickets/all', protect, authorize('admin', 'support'), async (req, r
   }
 });
 
+// @desc    Stream ticket events (Server-Sent Events)
+// @route   GET /api/support/events
+// @access  Private
+router.get('/events', protect, streamLimiter, [
+  query('ticket').optional().isMongoId().withMessage('Invalid ticket ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Staff see events for every ticket, customers for their own
+    const { isStaff } = await getTicketAudience(req.user);
+
+    if (req.query.ticket) {
+      const ticket = await SupportTicket.findById(req.query.ticket).select('user');
+
+      if (!ticket) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Ticket not found'
+        });
+      }
+
+      if (ticket.user.toString() !== req.user.id && !isStaff) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Not authorized to view this ticket'
+        });
+      }
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop nginx from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = subscribe({ user: req.user, isStaff, ticketId: req.query.ticket, send });
+    send('ready', { ticketId: req.query.ticket || null });
+
+    // The access token is only checked once, so re-check the session,
+    // account and role on each heartbeat. The stream ends when the session
+    // or account is gone, or when the user gains or loses staff access, so
+    // a demoted user stops receiving internal notes.
+    const heartbeat = setInterval(async () => {
+      try {
+        const [session, user] = await Promise.all([
+          Session.findById(req.authSession._id),
+          User.findOne({ _id: req.user._id, isActive: true }).select('role')
+        ]);
+
+        if (!session || !session.isActive() || !user) {
+          send('session.ended', {});
+          return res.end();
+        }
+
+        const audience = await getTicketAudience(user);
+        if (audience.isStaff !== isStaff) {
+          send('access.changed', {});
+          return res.end();
+        }
+
+        res.write(': ping\n\n');
+      } catch (error) {
+        console.error('Ticket stream heartbeat error:', error);
+      }
+    }, getHeartbeatSeconds() * 1000);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Ticket stream error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get single support ticket
 // @route   GET /api/support/tickets/:id
 // @access  Private
@@ -172,8 +382,9 @@ router.get('/tickets/:id', protect, async (req, res) => {
       });
     }
 
-    // Users can only view their own tickets unless they're admin/support
-    if (req.user.role !== 'admin' && req.user.role !== 'support' && ticket.user._id.toString() !== req.user.id) {
+    // Users can only view their own tickets unless they're staff
+    const audience = await getTicketAudience(req.user);
+    if (ticket.user._id.toString() !== req.user.id && !audience.isStaff) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to view this ticket'
@@ -182,7 +393,7 @@ router.get('/tickets/:id', protect, async (req, res) => {
 
     res.status(200).json({
       status: 'success',
-      ticket
+      ticket: serializeTicket(ticket, audience)
     });
   } catch (error) {
     console.error('Get ticket error:', error);
@@ -196,8 +407,9 @@ router.get('/tickets/:id', protect, async (req, res) => {
 // @desc    Add message to support ticket
 // @route   POST /api/support/tickets/:id/messages
 // @access  Private
-router.post('/tickets/:id/messages', protect, [
+router.post('/tickets/:id/messages', protect, uploadAttachments, [
   body('message')
+    .if((value, { req }) => !req.files || req.files.length === 0)
     .trim()
     .isLength({ min: 1 })
     .withMessage('Message cannot be empty'),
@@ -205,6 +417,7 @@ router.post('/tickets/:id/messages', protect, [
     .optional()
     .isBoolean()
     .withMessage('isInternal must be a boolean')
+    .toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -226,10 +439,8 @@ router.post('/tickets/:id/messages', protect, [
     }
 
     // Check authorization
-    const isAuthorized = 
-      ticket.user.toString() === req.user.id || 
-      req.user.role === 'admin' || 
-      req.user.role === 'support';
+    const canRespond = await hasPermission(req.user, 'tickets:respond');
+    const isAuthorized = ticket.user.toString() === req.user.id || canRespond;
 
     if (!isAuthorized) {
       return res.status(403).json({
@@ -240,31 +451,60 @@ router.post('/tickets/:id/messages', protect, [
 
     const { message, isInternal = false } = req.body;
 
-    // Only admin/support can add internal messages
-    if (isInternal && req.user.role !== 'admin' && req.user.role !== 'support') {
+    // Only staff can add internal messages, judged the same way as who can
+    // see them
+    if (isInternal && !(await getTicketAudience(req.user)).isStaff) {
       return res.status(403).json({
         status: 'error',
         message: 'Only staff can add internal messages'
       });
     }
 
+    const { attachments: files, error: attachmentError } = prepareAttachments(req.files);
+    if (attachmentError) {
+      return res.status(400).json({
+        status: 'error',
+        message: attachmentError
+      });
+    }
+
+    const attachments = await storeAttachments(ticket._id, files);
+
     ticket.messages.push({
       sender: req.user.id,
-      message,
-      isInternal
+      message: message ? message.trim() : undefined,
+      isInternal,
+      attachments
     });
 
+    // A staff reply the customer can see counts as the first response
+    if (canRespond && !isInternal && ticket.user.toString() !== req.user.id) {
+      recordFirstResponse(ticket);
+    }
+
     // Update ticket status if it was closed
     if (ticket.status === 'closed') {
       ticket.status = 'open';
+      ticket.set('sla.resolvedAt', undefined);
+    }
+
+    try {
+      await ticket.save();
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
     }
 
-    await ticket.save();
+    const added = ticket.messages[ticket.messages.length - 1];
+    publishTicketEvent(ticket, 'message.created', ({ isStaff }) => ({
+      message: serializeMessage(toMessageEvent(added, req.user), { isStaff }),
+      status: ticket.status
+    }), { staffOnly: added.isInternal });
 
     res.status(201).json({
       status: 'success',
       message: 'Message added successfully',
-      ticket
+      ticket: serializeTicket(ticket, await getTicketAudience(req.user))
     });
   } catch (error) {
     console.error('Add message error:', error);
@@ -275,10 +515,216 @@ router.post('/tickets/:id/messages', protect, [
   }
 });
 
+// @desc    Tell others on the ticket that the user is typing
+// @route   POST /api/support/tickets/:id/typing
+// @access  Private
+router.post('/tickets/:id/typing', protect, typingLimiter, [
+  param('id').isMongoId().withMessage('Invalid ticket ID'),
+  body('isTyping')
+    .optional()
+    .isBoolean()
+    .withMessage('isTyping must be a boolean')
+    .toBoolean(),
+  body('isInternal')
+    .optional()
+    .isBoolean()
+    .withMessage('isInternal must be a boolean')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id).select('user');
+
+    if (!ticket) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket not found'
+      });
+    }
+
+    // Same rule as adding a message
+    const canRespond = await hasPermission(req.user, 'tickets:respond');
+    if (ticket.user.toString() !== req.user.id && !canRespond) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to add messages to this ticket'
+      });
+    }
+
+    const { isTyping = true } = req.body;
+    const isInternal = Boolean(req.body.isInternal) && (await getTicketAudience(req.user)).isStaff;
+
+    // Someone drafting an internal note mustn't show as typing to the customer
+    publishTicketEvent(ticket, 'typing', {
+      user: { _id: req.user._id, firstName: req.user.firstName, role: req.user.role },
+      isTyping,
+      isInternal
+    }, { staffOnly: isInternal });
+
+    res.status(200).json({
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Typing indicator error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a ticket as read by the current user
+// @route   POST /api/support/tickets/:id/read
+// @access  Private
+router.post('/tickets/:id/read', protect, [
+  param('id').isMongoId().withMessage('Invalid ticket ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id).select('user');
+
+    if (!ticket) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket not found'
+      });
+    }
+
+    if (ticket.user.toString() !== req.user.id && !(await getTicketAudience(req.user)).isStaff) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view this ticket'
+      });
+    }
+
+    const lastReadAt = new Date();
+
+    // Update the user's receipt in place, or add one if they have none yet
+    const updated = await SupportTicket.updateOne(
+      { _id: ticket._id, 'readBy.user': req.user._id },
+      { $set: { 'readBy.$.lastReadAt': lastReadAt } }
+    );
+    if (updated.matchedCount === 0) {
+      await SupportTicket.updateOne(
+        { _id: ticket._id, 'readBy.user': { $ne: req.user._id } },
+        { $push: { readBy: { user: req.user._id, lastReadAt } } }
+      );
+    }
+
+    publishTicketEvent(ticket, 'read', {
+      user: { _id: req.user._id, firstName: req.user.firstName, role: req.user.role },
+      lastReadAt
+    });
+
+    res.status(200).json({
+      status: 'success',
+      lastReadAt
+    });
+  } catch (error) {
+    console.error('Mark ticket read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Download a ticket attachment
+// @route   GET /api/support/tickets/:id/attachments/:attachmentId
+// @access  Private
+router.get('/tickets/:id/attachments/:attachmentId', protect, [
+  param('id').isMongoId().withMessage('Invalid ticket ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id).select('user messages');
+
+    if (!ticket) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket not found'
+      });
+    }
+
+    // Same rule as viewing the ticket: the owner or staff
+    const { isStaff } = await getTicketAudience(req.user);
+    if (ticket.user.toString() !== req.user.id && !isStaff) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view this ticket'
+      });
+    }
+
+    const message = ticket.messages.find(entry => entry.attachments.id(req.params.attachmentId));
+    const attachment = message && message.attachments.id(req.params.attachmentId);
+
+    // Files on internal notes are staff-only, like the notes themselves
+    if (!attachment || (message.isInternal && !isStaff)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = await openAttachment(attachment);
+
+    if (!stream) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attachment not found'
+      });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', attachment.contentType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (attachment.size) res.setHeader('Content-Length', attachment.size);
+
+    stream.on('error', (error) => {
+      // Headers are already sent, so the only option is to cut the response
+      console.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Update ticket status (Admin/Support)
 // @route   PUT /api/support/tickets/:id/status
 // @access  Private/Admin/Support
-router.put('/tickets/:id/status', protect, authorize('admin', 'support'), [
+router.put('/tickets/:id/status', protect, requirePermission('tickets:update'), [
   body('status')
     .isIn(['open', 'in_progress', 'resolved', 'closed'])
     .withMessage('Invalid status'),
@@ -311,23 +757,40 @@ router.put('/tickets/:id/status', protect, authorize('admin', 'support'), [
       updateData.actualResolution = new Date();
     }
 
-    const ticket = await SupportTicket.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    ).populate('user', 'firstName lastName email');
+    const before = await SupportTicket.findById(req.params.id).select('status sla').lean();
 
-    if (!ticket) {
+    if (!before) {
       return res.status(404).json({
         status: 'error',
         message: 'Ticket not found'
       });
     }
 
+    const ticket = await SupportTicket.findByIdAndUpdate(
+      req.params.id,
+      { ...updateData, ...getResolutionUpdate(before, status) },
+      { new: true }
+    ).populate('user', 'firstName lastName email');
+
+    await recordAudit(req, {
+      action: 'ticket.status_change',
+      targetType: 'SupportTicket',
+      targetId: ticket._id,
+      before,
+      after: { status: ticket.status },
+      fields: ['status']
+    });
+
+    publishTicketEvent(ticket, 'ticket.status', {
+      status: ticket.status,
+      previousStatus: before.status,
+      ...(ticket.resolution && ticket.resolution.resolvedAt && { resolution: ticket.resolution })
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Ticket status updated',
-      ticket
+      ticket: serializeTicket(ticket, await getTicketAudience(req.user))
     });
   } catch (error) {
     console.error('Update ticket status error:', error);
@@ -341,10 +804,17 @@ router.put('/tickets/:id/status', protect, authorize('admin', 'support'), [
 // @desc    Assign ticket (Admin/Support)
 // @route   PUT /api/support/tickets/:id/assign
 // @access  Private/Admin/Support
-router.put('/tickets/:id/assign', protect, authorize('admin', 'support'), [
+router.put('/tickets/:id/assign', protect, requirePermission('tickets:assign'), [
   body('assignedTo')
     .isMongoId()
     .withMessage('Invalid user ID')
+    .bail()
+    .custom(async (userId) => {
+      if (!await findAssignableStaff(userId)) {
+        throw new Error('Tickets can only be assigned to active support staff');
+      }
+      return true;
+    })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -358,12 +828,66 @@ router.put('/tickets/:id/assign', protect, authorize('admin', 'support'), [
 
     const { assignedTo } = req.body;
 
+    const before = await SupportTicket.findById(req.params.id).select('assignedTo').lean();
+
+    if (!before) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket not found'
+      });
+    }
+
+    // Manual assignment ignores availability and load caps
     const ticket = await SupportTicket.findByIdAndUpdate(
       req.params.id,
-      { assignedTo },
+      { assignedTo, routing: { method: 'manual', routedAt: new Date() } },
       { new: true }
     ).populate('assignedTo', 'firstName lastName');
 
+    await recordAudit(req, {
+      action: 'ticket.assign',
+      targetType: 'SupportTicket',
+      targetId: ticket._id,
+      before: { assignedTo: before.assignedTo && before.assignedTo.toString() },
+      after: { assignedTo },
+      fields: ['assignedTo']
+    });
+
+    publishAssignment(ticket);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ticket assigned successfully',
+      ticket: serializeTicket(ticket, await getTicketAudience(req.user))
+    });
+  } catch (error) {
+    console.error('Assign ticket error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Re-run automatic routing for a ticket, e.g. after tagging it or
+//          when its agent is away
+// @route   POST /api/support/tickets/:id/route
+// @access  Private/Admin/Support
+router.post('/tickets/:id/route', protect, requirePermission('tickets:assign'), [
+  param('id').isMongoId().withMessage('Invalid ticket ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id);
+
     if (!ticket) {
       return res.status(404).json({
         status: 'error',
@@ -371,13 +895,148 @@ router.put('/tickets/:id/assign', protect, authorize('admin', 'support'), [
       });
     }
 
+    if (!OPEN_STATUSES.includes(ticket.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only open tickets can be routed'
+      });
+    }
+
+    const previousAssignee = ticket.assignedTo;
+    const customer = await User.findById(ticket.user).select('address');
+    const routing = await routeTicket(ticket, customer);
+
+    if (!routing) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'No agent is available to take this ticket'
+      });
+    }
+
+    await recordRouting(ticket, previousAssignee);
+    await ticket.populate('assignedTo', 'firstName lastName');
+
+    if (!previousAssignee || !previousAssignee.equals(ticket.assignedTo._id)) {
+      publishAssignment(ticket);
+    }
+
     res.status(200).json({
       status: 'success',
-      message: 'Ticket assigned successfully',
-      ticket
+      message: 'Ticket routed successfully',
+      ticket: serializeTicket(ticket, await getTicketAudience(req.user))
     });
   } catch (error) {
-    console.error('Assign ticket error:', error);
+    console.error('Route ticket error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set ticket tags (used by assignment rules)
+// @route   PUT /api/support/tickets/:id/tags
+// @access  Private/Admin/Support
+router.put('/tickets/:id/tags', protect, requirePermission('tickets:update'), [
+  param('id').isMongoId().withMessage('Invalid ticket ID'),
+  body('tags')
+    .isArray({ max: 20 })
+    .withMessage('tags must be an array of up to 20 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 40 })
+    .withMessage('Tags must be between 1 and 40 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const before = await SupportTicket.findById(req.params.id).select('tags').lean();
+
+    if (!before) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket not found'
+      });
+    }
+
+    const tags = [...new Set(req.body.tags)];
+    const ticket = await SupportTicket.findByIdAndUpdate(
+      req.params.id,
+      { tags },
+      { new: true }
+    ).populate('assignedTo', 'firstName lastName');
+
+    await recordAudit(req, {
+      action: 'ticket.tags_update',
+      targetType: 'SupportTicket',
+      targetId: ticket._id,
+      before,
+      after: { tags },
+      fields: ['tags']
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ticket tags updated',
+      ticket: serializeTicket(ticket, await getTicketAudience(req.user))
+    });
+  } catch (error) {
+    console.error('Update ticket tags error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set own availability for automatic routing
+// @route   PUT /api/support/availability
+// @access  Private/Admin/Support
+router.put('/availability', protect, requirePermission('tickets:respond'), [
+  body('isAvailable')
+    .isBoolean()
+    .withMessage('isAvailable must be a boolean')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await AgentProfile.findOneAndUpdate(
+      { user: req.user._id },
+      { isAvailable: req.body.isAvailable },
+      { new: true }
+    );
+
+    if (!profile) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You are not set up for ticket routing'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: profile.isAvailable ? 'You will receive new tickets' : 'You will not receive new tickets',
+      profile
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -0,0 +1,699 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { protect, requirePermission } = require('../middleware/auth');
+const { sendTokenResponse } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const { generateSecret, verifyTotp, buildOtpAuthUrl } = require('../services/totp');
+const { sendOtp, verifyOtp } = require('../services/otp');
+const { isSmsAvailable } = require('../services/sms');
+const {
+  getEnforcedRoles,
+  setEnforcedRoles,
+  isEnrollmentRequired,
+  verifyChallengeToken,
+  getChallengeMethods,
+  generateBackupCodes,
+  sendLoginCode,
+  verifyLoginCode
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+// Limit second-factor guesses per account. Only a verified token names the
+// account, so a forged one can't use up someone else's attempts; anything
+// else is limited by IP.
+const challengeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: (req) => {
+    const challenge = verifyChallengeToken(String(req.body.challengeToken || ''));
+    return challenge ? `2fa:${challenge.id}` : req.ip;
+  },
+  message: {
+    status: 'error',
+    message: 'Too many verification attempts. Please try again later.'
+  }
+});
+
+const codeValidation = body('code')
+  .trim()
+  .notEmpty()
+  .withMessage('Verification code is required');
+
+const passwordValidation = body('password')
+  .notEmpty()
+  .withMessage('Password is required');
+
+// Re-check the password before changing 2FA settings
+const checkPassword = async (userId, password) => {
+  const user = await User.findById(userId).select('+password');
+  return user.comparePassword(password);
+};
+
+// Store a new secret until the user confirms it with a code from their app
+const startTotpSetup = async (user) => {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpAuthUrl(secret, user.email);
+
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingTotpSecret': secret });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Enable TOTP if the code matches the pending secret. Resolves to the new
+// plain backup codes, or null when there's nothing to confirm.
+const confirmTotpSetup = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingTotpSecret');
+  const secret = user.twoFactor.pendingTotpSecret;
+  const step = secret ? verifyTotp(secret, code) : null;
+
+  if (step === null) return null;
+
+  const { codes, hashes } = generateBackupCodes();
+
+  await User.updateOne({ _id: user._id }, {
+    'twoFactor.enabled': true,
+    'twoFactor.method': 'totp',
+    'twoFactor.totpSecret': secret,
+    'twoFactor.backupCodes': hashes,
+    'twoFactor.lastTotpStep': step,
+    'twoFactor.enabledAt': new Date(),
+    $unset: { 'twoFactor.pendingTotpSecret': 1 }
+  });
+
+  return codes;
+};
+
+// The user behind a login challenge that still needs 2FA enrollment
+const findEnrollingUser = async (challengeToken) => {
+  const challenge = verifyChallengeToken(challengeToken);
+  const user = challenge && await User.findById(challenge.id);
+
+  if (!user || !user.isActive || user.changedPasswordAfter(challenge.iat)) return null;
+  return await isEnrollmentRequired(user) ? user : null;
+};
+
+// @desc    Get 2FA status for current user
+// @route   GET /api/auth/2fa/status
+// @access  Private
+router.get('/status', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.backupCodes');
+    const enforcedRoles = await getEnforcedRoles();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enabled: user.twoFactor.enabled,
+        method: user.twoFactor.method || null,
+        enabledAt: user.twoFactor.enabledAt || null,
+        backupCodesRemaining: (user.twoFactor.backupCodes || []).length,
+        enforced: enforcedRoles.includes(user.role)
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Start TOTP enrollment
+// @route   POST /api/auth/2fa/totp/setup
+// @access  Private
+router.post('/totp/setup', protect, async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: await startTotpSetup(req.user)
+    });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm TOTP enrollment with a code from the app
+// @route   POST /api/auth/2fa/totp/enable
+// @access  Private
+router.post('/totp/enable', protect, [codeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const codes = await confirmTotpSetup(req.user.id, req.body.code);
+    if (!codes) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid verification code. Start TOTP setup first if you haven\'t.'
+      });
+    }
+
+    await recordAudit(req, { action: 'auth.2fa_enable', targetType: 'User', targetId: req.user._id, metadata: { method: 'totp' } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('TOTP enable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Send a code to the stored phone to start SMS 2FA enrollment
+// @route   POST /api/auth/2fa/sms/setup
+// @access  Private
+router.post('/sms/setup', protect, async (req, res) => {
+  try {
+    if (!isSmsAvailable()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'SMS codes are not available right now'
+      });
+    }
+
+    const result = await sendOtp({
+      user: req.user,
+      phone: req.user.phone,
+      purpose: 'sms_2fa_setup'
+    });
+
+    if (!result.sent) {
+      return res.status(429).json({
+        status: 'error',
+        message: `Please wait ${result.retryAfterSeconds} seconds before requesting another code`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Verification code sent to ${result.phone}`
+    });
+  } catch (error) {
+    console.error('SMS 2FA setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm SMS 2FA enrollment
+// @route   POST /api/auth/2fa/sms/enable
+// @access  Private
+router.post('/sms/enable', protect, [codeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const isValid = await verifyOtp({ user: req.user, purpose: 'sms_2fa_setup', code: req.body.code });
+    if (!isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await User.updateOne({ _id: req.user.id }, {
+      'twoFactor.enabled': true,
+      'twoFactor.method': 'sms',
+      'twoFactor.backupCodes': hashes,
+      'twoFactor.enabledAt': new Date(),
+      $unset: { 'twoFactor.totpSecret': 1, 'twoFactor.pendingTotpSecret': 1, 'twoFactor.lastTotpStep': 1 }
+    });
+    await recordAudit(req, { action: 'auth.2fa_enable', targetType: 'User', targetId: req.user._id, metadata: { method: 'sms' } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('SMS 2FA enable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Regenerate backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+router.post('/backup-codes', protect, [passwordValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await checkPassword(req.user.id, req.body.password)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: req.user.id }, { 'twoFactor.backupCodes': hashes });
+    await recordAudit(req, { action: 'auth.2fa_backup_codes_regenerate', targetType: 'User', targetId: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/disable', protect, [passwordValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enforcedRoles = await getEnforcedRoles();
+    if (enforcedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Two-factor authentication is required for the '${req.user.role}' role`
+      });
+    }
+
+    if (!await checkPassword(req.user.id, req.body.password)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    await User.updateOne({ _id: req.user.id }, {
+      'twoFactor.enabled': false,
+      $unset: {
+        'twoFactor.method': 1,
+        'twoFactor.totpSecret': 1,
+        'twoFactor.pendingTotpSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastTotpStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+    await recordAudit(req, { action: 'auth.2fa_disable', targetType: 'User', targetId: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Send an SMS login code for a pending 2FA challenge
+// @route   POST /api/auth/2fa/challenge/sms
+// @access  Public (requires challenge token)
+router.post('/challenge/sms', challengeLimiter, [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+    const user = challenge && await User.findById(challenge.id);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const methods = await getChallengeMethods(user, challenge);
+    if (!methods.includes('sms')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'SMS codes cannot be used for this login'
+      });
+    }
+
+    if (!isSmsAvailable()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'SMS codes are not available right now'
+      });
+    }
+
+    const result = await sendLoginCode(user);
+
+    if (!result.sent) {
+      return res.status(429).json({
+        status: 'error',
+        message: `Please wait ${result.retryAfterSeconds} seconds before requesting another code`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Login code sent to ${result.phone}`
+    });
+  } catch (error) {
+    console.error('2FA challenge SMS error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Complete login with a second factor
+// @route   POST /api/auth/2fa/challenge/verify
+// @access  Public (requires challenge token)
+router.post('/challenge/verify', challengeLimiter, [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('method')
+    .isIn(['totp', 'sms', 'backup'])
+    .withMessage('Method must be totp, sms or backup'),
+  codeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+    const user = challenge && await User.findById(challenge.id);
+
+    if (!user || !user.isActive || user.changedPasswordAfter(challenge.iat)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const methods = await getChallengeMethods(user, challenge);
+    if (!methods.includes(req.body.method)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Method must be one of: ${methods.join(', ')}`
+      });
+    }
+
+    const isValid = await verifyLoginCode(user, req.body.method, req.body.code);
+    if (!isValid) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'invalid_2fa_code', secondFactor: req.body.method }
+      });
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid verification code'
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { method: 'password', secondFactor: req.body.method }
+    });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('2FA challenge verify error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @desc    Start authenticator app enrollment during login, for accounts in a
+//          role that enforces 2FA
+// @route   POST /api/auth/2fa/challenge/totp/setup
+// @access  Public (requires challenge token)
+router.post('/challenge/totp/setup', challengeLimiter, [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findEnrollingUser(req.body.challengeToken);
+
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: await startTotpSetup(user)
+    });
+  } catch (error) {
+    console.error('2FA challenge TOTP setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm authenticator app enrollment and complete login
+// @route   POST /api/auth/2fa/challenge/totp/enable
+// @access  Public (requires challenge token)
+router.post('/challenge/totp/enable', challengeLimiter, [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  codeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findEnrollingUser(req.body.challengeToken);
+
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const codes = await confirmTotpSetup(user._id, req.body.code);
+    if (!codes) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid verification code. Start TOTP setup first if you haven\'t.'
+      });
+    }
+
+    await recordAudit(req, { action: 'auth.2fa_enable', actor: user, targetType: 'User', targetId: user._id, metadata: { method: 'totp' } });
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { method: 'password', secondFactor: 'totp' }
+    });
+
+    await sendTokenResponse(
+      user,
+      200,
+      req,
+      res,
+      'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      { backupCodes: codes }
+    );
+  } catch (error) {
+    console.error('2FA challenge TOTP enable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @desc    Get roles that must use 2FA (Admin only)
+// @route   GET /api/auth/2fa/policy
+// @access  Private/Admin
+router.get('/policy', protect, requirePermission('security:manage'), async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: { enforcedRoles: await getEnforcedRoles() }
+    });
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set roles that must use 2FA (Admin only)
+// @route   PUT /api/auth/2fa/policy
+// @access  Private/Admin
+router.put('/policy', protect, requirePermission('security:manage'), [
+  body('enforcedRoles')
+    .isArray()
+    .withMessage('Enforced roles must be an array'),
+  body('enforcedRoles.*')
+    .custom(async (role) => {
+      if (!await Role.exists({ name: role })) {
+        throw new Error(`Invalid role: ${role}`);
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enforcedRoles = [...new Set(req.body.enforcedRoles)];
+    const previousRoles = await getEnforcedRoles();
+
+    // Unenrolled users in a newly enforced role can sign in with an SMS code
+    // until they set up an app, so only enforce more roles while SMS works
+    if (!isSmsAvailable() && enforcedRoles.some(role => !previousRoles.includes(role))) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'SMS codes are not available right now, so 2FA cannot be enforced for more roles'
+      });
+    }
+    await setEnforcedRoles(enforcedRoles, req.user.id);
+    await recordAudit(req, {
+      action: 'security.2fa_policy_update',
+      targetType: 'Setting',
+      before: { enforcedRoles: previousRoles },
+      after: { enforcedRoles }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: '2FA policy updated successfully',
+      data: { enforcedRoles }
+    });
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
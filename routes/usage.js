@@ -1,86 +1,176 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { protect, requireApiKey } = require('../middleware/auth');
+const {
+  ingestAccountingRecords,
+  getCurrentUsage,
+  getMonthlyHistory,
+  getDailyUsage,
+  getHourlyUsage
+} = require('../services/usage');
+const { evaluateUsageAlerts, getThresholds } = require('../services/usageAlerts');
+const { getUsageSummary } = require('../services/usageAnalytics');
+const { streamUsageExport } = require('../services/usageExport');
+const User = require('../models/User');
 
 const router = express.Router();
 
-// Mock usage data - in a real app, this would come from your network monitoring system
-const mockUsageData = {
-  currentMonth: {
-    dataUsed: 45.2, // GB
-    dataLimit: 100, // GB
-    daysRemaining: 12,
-    averageDailyUsage: 1.5, // GB
-    peakUsage: 3.2, // GB
-    lastUpdated: '2024-02-03T10:30:00Z'
-  },
-  monthlyHistory: [
-    {
-      month: 'January 2024',
-      dataUsed: 78.5,
-      dataLimit: 100,
-      days: 31,
-      averageDaily: 2.5
-    },
-    {
-      month: 'December 2023',
-      dataUsed: 92.3,
-      dataLimit: 100,
-      days: 31,
-      averageDaily: 3.0
-    },
-    {
-      month: 'November 2023',
-      dataUsed: 65.7,
-      dataLimit: 100,
-      days: 30,
-      averageDaily: 2.2
-    }
-  ],
-  dailyUsage: [
-    { date: '2024-02-01', usage: 1.2 },
-    { date: '2024-02-02', usage: 2.1 },
-    { date: '2024-02-03', usage: 1.8 },
-    { date: '2024-02-04', usage: 0.9 },
-    { date: '2024-02-05', usage: 2.5 },
-    { date: '2024-02-06', usage: 1.7 },
-    { date: '2024-02-07', usage: 3.2 }
-  ],
-  hourlyUsage: [
-    { hour: '00:00', usage: 0.1 },
-    { hour: '01:00', usage: 0.05 },
-    { hour: '02:00', usage: 0.03 },
-    { hour: '03:00', usage: 0.02 },
-    { hour: '04:00', usage: 0.08 },
-    { hour: '05:00', usage: 0.15 },
-    { hour: '06:00', usage: 0.3 },
-    { hour: '07:00', usage: 0.8 },
-    { hour: '08:00', usage: 1.2 },
-    { hour: '09:00', usage: 1.5 },
-    { hour: '10:00', usage: 1.8 },
-    { hour: '11:00', usage: 2.1 },
-    { hour: '12:00', usage: 2.3 },
-    { hour: '13:00', usage: 2.0 },
-    { hour: '14:00', usage: 1.9 },
-    { hour: '15:00', usage: 2.2 },
-    { hour: '16:00', usage: 2.5 },
-    { hour: '17:00', usage: 2.8 },
-    { hour: '18:00', usage: 3.0 },
-    { hour: '19:00', usage: 2.7 },
-    { hour: '20:00', usage: 2.4 },
-    { hour: '21:00', usage: 2.1 },
-    { hour: '22:00', usage: 1.5 },
-    { hour: '23:00', usage: 0.8 }
-  ]
+// Date-only `to` values are inclusive of that whole day
+const parseExportEnd = (value) => {
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(date.getTime() + 24 * 60 * 60 * 1000)
+    : date;
 };
 
+// @desc    Ingest network accounting records
+// @route   POST /api/usage/ingest
+// @access  Private (API key)
+router.post('/ingest', requireApiKey('USAGE_INGEST_API_KEY'), [
+  body('records')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('records must be an array of 1 to 1000 accounting records'),
+  body('records.*.sessionId')
+    .isString()
+    .notEmpty()
+    .withMessage('Each record needs a sessionId'),
+  body('records.*.username')
+    .isString()
+    .notEmpty()
+    .withMessage('Each record needs a username'),
+  body('records.*.type')
+    .optional()
+    .isIn(['start', 'interim', 'stop'])
+    .withMessage('Record type must be start, interim or stop'),
+  body('records.*.timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Record timestamp must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { summary, affectedUsers } = await ingestAccountingRecords(req.body.records);
+
+    // Check data-cap thresholds for everyone whose usage changed
+    for (const userId of affectedUsers) {
+      try {
+        await evaluateUsageAlerts(userId);
+      } catch (alertError) {
+        console.error(`Usage alert evaluation failed for user ${userId}:`, alertError);
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      summary
+    });
+  } catch (error) {
+    console.error('Ingest usage error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get data-cap alert settings
+// @route   GET /api/usage/alerts
+// @access  Private
+router.get('/alerts', protect, async (req, res) => {
+  try {
+    const settings = req.user.preferences && req.user.preferences.usageAlerts;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enabled: !settings || settings.enabled !== false,
+        thresholds: getThresholds(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get usage alerts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update data-cap alert settings
+// @route   PUT /api/usage/alerts
+// @access  Private
+router.put('/alerts', protect, [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+  body('thresholds')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('thresholds must be an array of 1 to 10 percentages'),
+  body('thresholds.*')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Each threshold must be a percentage between 1 and 100')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updateData = {};
+    if (req.body.enabled !== undefined) {
+      updateData['preferences.usageAlerts.enabled'] = req.body.enabled === true || req.body.enabled === 'true';
+    }
+    if (req.body.thresholds) {
+      updateData['preferences.usageAlerts.thresholds'] = [...new Set(req.body.thresholds)].sort((a, b) => a - b);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enabled: user.preferences.usageAlerts.enabled !== false,
+        thresholds: getThresholds(user)
+      }
+    });
+  } catch (error) {
+    console.error('Update usage alerts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get current usage data
 // @route   GET /api/usage/current
 // @access  Private
 router.get('/current', protect, async (req, res) => {
   try {
+    const currentMonth = await getCurrentUsage(req.user.id);
+
     res.status(200).json({
       status: 'success',
-      data: mockUsageData.currentMonth
+      data: currentMonth
     });
   } catch (error) {
     console.error('Get current usage error:', error);
@@ -96,11 +186,12 @@ router.get('/current', protect, async (req, res) => {
 // @access  Private
 router.get('/history', protect, async (req, res) => {
   try {
-    const months = parseInt(req.query.months) || 6;
+    const months = Math.min(parseInt(req.query.months) || 6, 24);
+    const history = await getMonthlyHistory(req.user.id, months);
 
     res.status(200).json({
       status: 'success',
-      data: mockUsageData.monthlyHistory.slice(0, months)
+      data: history
     });
   } catch (error) {
     console.error('Get usage history error:', error);
@@ -116,11 +207,12 @@ router.get('/history', protect, async (req, res) => {
 // @access  Private
 router.get('/daily', protect, async (req, res) => {
   try {
-    const days = parseInt(req.query.days) || 7;
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    const dailyUsage = await getDailyUsage(req.user.id, days);
 
     res.status(200).json({
       status: 'success',
-      data: mockUsageData.dailyUsage.slice(-days)
+      data: dailyUsage
     });
   } catch (error) {
     console.error('Get daily usage error:', error);
@@ -131,14 +223,16 @@ router.get('/daily', protect, async (req, res) => {
   }
 });
 
-// @desc    Get hourly usage for today
+// @desc    Get hourly usage for today (Harare time)
 // @route   GET /api/usage/hourly
 // @access  Private
 router.get('/hourly', protect, async (req, res) => {
   try {
+    const hourlyUsage = await getHourlyUsage(req.user.id);
+
     res.status(200).json({
       status: 'success',
-      data: mockUsageData.hourlyUsage
+      data: hourlyUsage
     });
   } catch (error) {
     console.error('Get hourly usage error:', error);
@@ -154,19 +248,9 @@ router.get('/hourly', protect, async (req, res) => {
 // @access  Private
 router.get('/summary', protect, async (req, res) => {
   try {
-    const summary = {
-      currentMonth: mockUsageData.currentMonth,
-      lastMonth: mockUsageData.monthlyHistory[0],
-      averageMonthlyUsage: mockUsageData.monthlyHistory.reduce((acc, month) => acc + month.dataUsed, 0) / mockUsageData.monthlyHistory.length,
-      totalDataUsed: mockUsageData.monthlyHistory.reduce((acc, month) => acc + month.dataUsed, 0),
-      usageTrend: 'increasing', // calculated based on recent months
-      projectedUsage: 85.5, // projected usage for current month
-      recommendations: [
-        'Consider upgrading to a higher data plan',
-        'Peak usage hours are 6-10 PM',
-        'Weekend usage is typically lower'
-      ]
-    };
+    // Number of past billing cycles used for the trend and averages
+    const months = Math.min(Math.max(parseInt(req.query.months) || 3, 2), 12);
+    const summary = await getUsageSummary(req.user.id, { months });
 
     res.status(200).json({
       status: 'success',
@@ -181,4 +265,60 @@ router.get('/summary', protect, async (req, res) => {
   }
 });
 
+// @desc    Export usage for a date range
+// @route   GET /api/usage/export
+// @access  Private
+router.get('/export', protect, [
+  query('from')
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('granularity')
+    .optional()
+    .isIn(['hourly', 'daily', 'monthly'])
+    .withMessage('granularity must be hourly, daily or monthly'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const from = new Date(req.query.from);
+    const to = parseExportEnd(req.query.to);
+
+    if (to <= from) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'to must be after from'
+      });
+    }
+
+    await streamUsageExport(req, res, {
+      userId: req.user.id,
+      from,
+      to,
+      granularity: req.query.granularity || 'daily',
+      format: req.query.format || 'csv'
+    });
+  } catch (error) {
+    console.error('Export usage error:', error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,33 +1,199 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { protect, requirePermission } = require('../middleware/auth');
+const { hasPermission, getRolePermissions } = require('../services/permissions');
+const { unlockAccount } = require('../services/loginProtection');
+const { recordAudit } = require('../services/audit');
+const { softDeleteUser, restoreUser } = require('../services/accountDeletion');
+const { normalizePhone } = require('../services/phone');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../services/pagination');
 
 const router = express.Router();
 
-// @desc    Get all users (Admin only)
+const SORTABLE_FIELDS = ['firstName', 'lastName', 'email', 'role', 'createdAt', 'lastLogin'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsFilter = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
+
+// Every word has to match the first or last name, so "tendai moyo" finds
+// Tendai Moyo but not every Tendai
+const nameFilter = (name) => ({
+  $and: name.split(/\s+/).filter(Boolean).map(word => ({
+    $or: [{ firstName: containsFilter(word) }, { lastName: containsFilter(word) }]
+  }))
+});
+
+// Digits of a phone number in the form they appear in phoneNormalized,
+// without the trunk 0 so local and international input both match
+const phoneDigits = (phone) => phone.replace(/\D/g, '').replace(/^0+/, '');
+
+// Validators shared by single and bulk updates
+const roleValidation = body('role')
+  .optional()
+  .custom(async (role) => {
+    if (!await Role.exists({ name: role })) {
+      throw new Error('Invalid role');
+    }
+    return true;
+  });
+
+const isActiveValidation = body('isActive')
+  .optional()
+  .isBoolean()
+  .withMessage('isActive must be a boolean')
+  .toBoolean();
+
+// Fields staff may set through PUT /api/users/:id. Anything else (password,
+// lockout, 2FA, deletion state) has its own endpoint.
+const UPDATABLE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'address', 'role', 'isActive'];
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+const pickFields = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Whether the user holds every permission the role grants
+const holdsRolePermissions = async (user, role) => {
+  const granted = await getRolePermissions(user.role);
+  const target = await getRolePermissions(role);
+
+  return [...target].every(permission => granted.has(permission));
+};
+
+// Staff can only hand out roles whose permissions they hold themselves
+const canAssignRole = async (user, role) =>
+  await hasPermission(user, 'users:assign-role') && holdsRolePermissions(user, role);
+
+// Staff can't change their own account here, or accounts whose role grants
+// permissions they don't hold. Returns the reason, or null when allowed.
+const getManageBlock = async (actor, target) => {
+  if (actor._id.equals(target._id)) return 'self';
+  return await holdsRolePermissions(actor, target.role) ? null : 'forbidden';
+};
+
+const MANAGE_BLOCK_MESSAGES = {
+  self: 'You cannot change your own account here',
+  forbidden: 'You cannot change a user whose role has permissions you do not hold'
+};
+
+// @desc    Search users (Admin only)
 // @route   GET /api/users
 // @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+router.get('/', protect, requirePermission('users:read'), [
+  query('q').optional().trim().isLength({ min: 1, max: 100 }).withMessage('q must be 1-100 characters'),
+  query('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+  query('email').optional().trim().isLength({ min: 1, max: 100 }).withMessage('email must be 1-100 characters'),
+  query('phone').optional().trim().matches(/^\+?[\d\s-()]{3,20}$/).withMessage('Invalid phone number'),
+  query('role').optional().trim().toLowerCase().matches(/^[a-z][a-z0-9_-]{1,39}$/).withMessage('Invalid role'),
+  query('city').optional().trim().isLength({ min: 1, max: 100 }).withMessage('city must be 1-100 characters'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  query('isEmailVerified').optional().isBoolean().withMessage('isEmailVerified must be true or false'),
+  query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be true or false'),
+  query('registeredFrom').optional().isISO8601().withMessage('registeredFrom must be an ISO 8601 date'),
+  query('registeredTo').optional().isISO8601().withMessage('registeredTo must be an ISO 8601 date'),
+  query('sort')
+    .optional()
+    .isIn(SORTABLE_FIELDS.flatMap(field => [field, `-${field}`]))
+    .withMessage(`sort must be one of ${SORTABLE_FIELDS.join(', ')}, optionally prefixed with -`),
+  query('cursor').optional().isString(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      q, name, email, phone, role, city, isActive, isEmailVerified,
+      includeDeleted, registeredFrom, registeredTo, cursor
+    } = req.query;
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const sort = req.query.sort || '-createdAt';
+    const sortField = sort.replace(/^-/, '');
+    const direction = sort.startsWith('-') ? -1 : 1;
+
+    const conditions = [];
+    // Soft-deleted accounts are hidden unless asked for
+    if (includeDeleted !== 'true') conditions.push({ deletedAt: { $exists: false } });
+    if (q) {
+      const digits = phoneDigits(q);
+      conditions.push({
+        $or: [
+          nameFilter(q),
+          { email: containsFilter(q) },
+          ...(digits.length >= 3 ? [{ phoneNormalized: containsFilter(digits) }] : [])
+        ]
+      });
+    }
+    if (name) conditions.push(nameFilter(name));
+    if (email) conditions.push({ email: containsFilter(email) });
+    if (phone) {
+      // A complete number is matched exactly, anything shorter as a fragment
+      const normalized = normalizePhone(phone);
+      conditions.push(normalized && phoneDigits(phone).length >= 9
+        ? { phoneNormalized: normalized }
+        : { phoneNormalized: containsFilter(phoneDigits(phone)) });
+    }
+    if (role) conditions.push({ role });
+    if (city) conditions.push({ 'address.city': containsFilter(city) });
+    if (isActive !== undefined) conditions.push({ isActive: isActive === 'true' });
+    if (isEmailVerified !== undefined) conditions.push({ isEmailVerified: isEmailVerified === 'true' });
+    if (registeredFrom || registeredTo) {
+      const createdAt = {};
+      if (registeredFrom) createdAt.$gte = new Date(registeredFrom);
+      if (registeredTo) createdAt.$lte = new Date(registeredTo);
+      conditions.push({ createdAt });
+    }
 
-    const users = await User.find()
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const sortSpec = { [sortField]: direction, _id: direction };
 
-    const total = await User.countDocuments();
+    // Cursor pagination for walking large result sets; page numbers are
+    // still accepted for jumping around small ones
+    let pageFilter = filter;
+    let skip = 0;
+    const page = parseInt(req.query.page) || 1;
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid cursor'
+        });
+      }
+      pageFilter = { $and: [...conditions, buildCursorFilter(sortField, direction, decoded)] };
+    } else {
+      skip = (page - 1) * limit;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(pageFilter)
+        .select('-password')
+        .sort(sortSpec)
+        .skip(skip)
+        .limit(limit + 1),
+      User.countDocuments(filter)
+    ]);
+
+    const hasMore = users.length > limit;
+    if (hasMore) users.pop();
 
     res.status(200).json({
       status: 'success',
       count: users.length,
       total,
-      page,
-      pages: Math.ceil(total / limit),
+      ...(!cursor && { page, pages: Math.ceil(total / limit) }),
+      nextCursor: hasMore ? encodeCursor(users[users.length - 1], sortField) : null,
       users
     });
   } catch (error) {
@@ -39,6 +205,94 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Update several users at once (Admin only). Accepts the same
+//          isActive and role fields as PUT /api/users/:id.
+// @route   PUT /api/users/bulk
+// @access  Private/Admin
+router.put('/bulk', protect, requirePermission('users:update'), [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids must be an array of 1-100 user IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  roleValidation,
+  isActiveValidation,
+  body()
+    .custom((value) => {
+      if (value.role === undefined && value.isActive === undefined) {
+        throw new Error('Provide role and/or isActive');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const update = pickFields(req.body, ['role', 'isActive']);
+
+    if (update.role !== undefined && !await canAssignRole(req.user, update.role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to assign this role.'
+      });
+    }
+
+    // Same permission as the activate and deactivate endpoints
+    if (update.isActive !== undefined && !await hasPermission(req.user, 'users:deactivate')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to activate or deactivate users.'
+      });
+    }
+
+    const ids = [...new Set(req.body.ids)];
+    const found = await User.find({ _id: { $in: ids } }).lean();
+    const byId = new Map(found.map(user => [user._id.toString(), user]));
+
+    const results = await Promise.all(ids.map(async (id) => {
+      const user = byId.get(id);
+      if (!user) return { id, status: 'not_found' };
+      if (user.deletedAt) return { id, status: 'deleted' };
+      return { id, status: await getManageBlock(req.user, user) || 'updated' };
+    }));
+    const updatableIds = results.filter(result => result.status === 'updated').map(result => result.id);
+
+    if (updatableIds.length > 0) {
+      await User.updateMany({ _id: { $in: updatableIds } }, update, { runValidators: true });
+
+      await Promise.all(updatableIds.map(id => recordAudit(req, {
+        action: 'user.update',
+        targetType: 'User',
+        targetId: id,
+        before: byId.get(id),
+        after: { ...byId.get(id), ...update },
+        fields: Object.keys(update),
+        metadata: { bulk: true }
+      })));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      updated: updatableIds.length,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk update users error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
 // @access  Private
@@ -53,8 +307,8 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
-    // Users can only view their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    // Users can only view their own profile unless they can read users
+    if (req.user.id !== req.params.id && !await hasPermission(req.user, 'users:read')) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to view this profile'
@@ -77,7 +331,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Update user (Admin only)
 // @route   PUT /api/users/:id
 // @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), [
+router.put('/:id', protect, requirePermission('users:update'), [
   body('firstName')
     .optional()
     .trim()
@@ -97,14 +351,18 @@ router.put('/:id', protect, authorize('admin'), [
     .optional()
     .isMobilePhone()
     .withMessage('Please provide a valid phone number'),
-  body('role')
+  body('address')
     .optional()
-    .isIn(['user', 'admin', 'support'])
-    .withMessage('Invalid role'),
-  body('isActive')
+    .isObject()
+    .withMessage('Address must be an object'),
+  ...ADDRESS_FIELDS.map(field => body(`address.${field}`)
     .optional()
-    .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage(`address.${field} must be text of up to 100 characters`)),
+  roleValidation,
+  isActiveValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -116,19 +374,66 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).select('-password');
+    const update = pickFields(req.body, UPDATABLE_FIELDS);
+    if (update.address) update.address = pickFields(update.address, ADDRESS_FIELDS);
 
-    if (!user) {
+    if (update.role !== undefined && !await canAssignRole(req.user, update.role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to assign this role.'
+      });
+    }
+
+    // Same permission as the activate and deactivate endpoints
+    if (update.isActive !== undefined && !await hasPermission(req.user, 'users:deactivate')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to activate or deactivate users.'
+      });
+    }
+
+    const before = await User.findById(req.params.id).lean();
+
+    if (!before) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
 
+    if (before.deletedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Deleted users must be restored before they can be updated'
+      });
+    }
+
+    const block = await getManageBlock(req.user, before);
+    if (block) {
+      return res.status(403).json({
+        status: 'error',
+        message: MANAGE_BLOCK_MESSAGES[block]
+      });
+    }
+
+    // Address fields that aren't sent are left as they were
+    if (update.address) update.address = { ...before.address, ...update.address };
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: user,
+      fields: Object.keys(update)
+    });
+
     res.status(200).json({
       status: 'success',
       user
@@ -142,12 +447,13 @@ router.put('/:id', protect, authorize('admin'), [
   }
 });
 
-// @desc    Delete user (Admin only)
+// @desc    Delete user (Admin only). The account can be restored until the
+//          erasure job anonymises it.
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('users:delete'), async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await softDeleteUser(req.params.id, req.user._id);
 
     if (!user) {
       return res.status(404).json({
@@ -156,9 +462,17 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { role: user.role, restoreUntil: user.getRestoreDeadline() }
+    });
+
     res.status(200).json({
       status: 'success',
-      message: 'User deleted successfully'
+      message: 'User deleted successfully',
+      restoreUntil: user.getRestoreDeadline()
     });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -169,10 +483,60 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Restore a deleted user within the restore window
+// @route   PUT /api/users/:id/restore
+// @access  Private/Admin
+router.put('/:id/restore', protect, requirePermission('users:delete'), async (req, res) => {
+  try {
+    const deleted = await User.findById(req.params.id);
+
+    if (!deleted || !deleted.deletedAt || deleted.erasedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Deleted user not found'
+      });
+    }
+
+    if (deleted.getRestoreDeadline() <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The restore window for this account has passed'
+      });
+    }
+
+    const user = await restoreUser(deleted._id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Deleted user not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User account restored',
+      user
+    });
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Deactivate user account
 // @route   PUT /api/users/:id/deactivate
 // @access  Private/Admin
-router.put('/:id/deactivate', protect, authorize('admin'), async (req, res) => {
+router.put('/:id/deactivate', protect, requirePermission('users:deactivate'), async (req, res) => {
   try {
     const user = await User.findByIdAndUpdate(
       req.params.id,
@@ -187,6 +551,12 @@ router.put('/:id/deactivate', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'User account deactivated',
@@ -204,10 +574,11 @@ router.put('/:id/deactivate', protect, authorize('admin'), async (req, res) => {
 // @desc    Activate user account
 // @route   PUT /api/users/:id/activate
 // @access  Private/Admin
-router.put('/:id/activate', protect, authorize('admin'), async (req, res) => {
+router.put('/:id/activate', protect, requirePermission('users:deactivate'), async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
+    // Deleted accounts come back through /restore instead
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $exists: false } },
       { isActive: true },
       { new: true }
     ).select('-password');
@@ -219,6 +590,12 @@ router.put('/:id/activate', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'user.activate',
+      targetType: 'User',
+      targetId: user._id
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'User account activated',
@@ -233,4 +610,49 @@ router.put('/:id/activate', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Unlock a locked user account
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+router.put('/:id/unlock', protect, requirePermission('users:unlock'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await unlockAccount(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User account unlocked',
+      user
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
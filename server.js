@@ -2,8 +2,14 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { startJobs } = require('./jobs');
+const { seedDefaultRoles } = require('./services/permissions');
+const { applyAuditRetention } = require('./services/audit');
+const { seedDefaultSlaPolicies } = require('./services/sla');
+const User = require('./models/User');
 
 const app = express();
 
@@ -14,7 +20,10 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Typing indicators and event stream reconnects are frequent by design and
+  // have their own per-user limits in routes/support.js
+  skip: (req) => /^\/api\/support\/(events$|tickets\/[^/]+\/typing$)/.test(req.path)
 });
 app.use(limiter);
 
@@ -27,20 +36,35 @@ app.use(cors({
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  seedDefaultRoles().catch(err => console.error('❌ Role seeding error:', err));
+  applyAuditRetention().catch(err => console.error('❌ Audit retention error:', err));
+  seedDefaultSlaPolicies().catch(err => console.error('❌ SLA policy seeding error:', err));
+  User.backfillNormalizedPhones().catch(err => console.error('❌ Phone backfill error:', err));
+  startJobs();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+app.use('/api/auth/otp', require('./routes/otpLogin'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/admin/sla', require('./routes/sla'));
+app.use('/api/admin/routing', require('./routes/routing'));
+app.use('/api/admin', require('./routes/admin'));
 app.use('/api/support', require('./routes/support'));
 app.use('/api/bills', require('./routes/bills'));
+app.use('/api/plans', require('./routes/plans'));
+app.use('/api/subscriptions', require('./routes/subscriptions'));
 app.use('/api/usage', require('./routes/usage'));
 app.use('/api/downdetector', require('./routes/downdetector'));
 app.use('/api/quotes', require('./routes/quotes'));
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const SupportTicket = require('../models/SupportTicket');
+const QuoteRequest = require('../models/QuoteRequest');
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const UsageRecord = require('../models/UsageRecord');
+const UsageSession = require('../models/UsageSession');
+const UsageAlert = require('../models/UsageAlert');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const OtpCode = require('../models/OtpCode');
+const LoginAttempt = require('../models/LoginAttempt');
+const { revokeUserSessions } = require('./sessions');
+const { removeAttachments } = require('./attachments');
+const { redactUserFromAudit } = require('./audit');
+
+const REMOVED = '[removed]';
+
+// Soft-delete an account: it stops working at once but keeps its data until
+// the restore window ends. Resolves to null when there's nothing to delete.
+const softDeleteUser = async (userId, deletedBy) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletedAt: { $exists: false } },
+    { deletedAt: new Date(), deletedBy, isActive: false },
+    { new: true }
+  );
+
+  if (!user) return null;
+
+  await revokeUserSessions(user._id, 'account_deleted');
+  return user;
+};
+
+// Undo a soft delete. Resolves to null when the account isn't deleted or has
+// already been erased.
+const restoreUser = (userId) => {
+  return User.findOneAndUpdate(
+    { _id: userId, deletedAt: { $exists: true }, erasedAt: { $exists: false } },
+    { isActive: true, $unset: { deletedAt: 1, deletedBy: 1 } },
+    { new: true }
+  );
+};
+
+// Anonymise a deleted account and its personal data in related collections.
+// Bills and payments are kept for the accounts, and audit log entries are
+// kept with the personal data stripped. The user document is anonymised
+// last, with erasedAt, so a failed run is picked up again next time with
+// the original email still there to match on. Every step is safe to repeat.
+const eraseUser = async (user) => {
+  const userId = user._id;
+  const email = user.email;
+  const erasedEmail = `deleted-${userId}@erased.invalid`;
+
+  // Files the user uploaded go from storage before their messages are scrubbed
+  const tickets = await SupportTicket.find({ 'messages.sender': userId }).select('messages').lean();
+  await removeAttachments(tickets.flatMap(ticket => ticket.messages
+    .filter(message => message.sender.equals(userId))
+    .flatMap(message => message.attachments || [])
+    .filter(attachment => attachment.storageKey)));
+
+  await SupportTicket.updateMany(
+    { user: userId },
+    { subject: REMOVED, description: REMOVED }
+  );
+  await SupportTicket.updateMany(
+    { 'messages.sender': userId },
+    { $set: { 'messages.$[mine].message': REMOVED, 'messages.$[mine].attachments': [] } },
+    { arrayFilters: [{ 'mine.sender': userId }] }
+  );
+
+  await QuoteRequest.updateMany(
+    { $or: [{ user: userId }, { email }] },
+    { name: REMOVED, email: erasedEmail, message: REMOVED, $unset: { phone: 1 } }
+  );
+
+  await Payment.updateMany({ user: userId }, { $unset: { phone: 1 } });
+  await Subscription.updateMany({ user: userId }, { $unset: { radiusUsername: 1 } });
+
+  await Promise.all([
+    UsageRecord.deleteMany({ user: userId }),
+    UsageSession.deleteMany({ user: userId }),
+    UsageAlert.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    OtpCode.deleteMany({ user: userId }),
+    LoginAttempt.deleteMany({ $or: [{ user: userId }, { email }] })
+  ]);
+
+  await redactUserFromAudit(userId);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      firstName: 'Deleted',
+      lastName: 'User',
+      email: erasedEmail,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+      isActive: false,
+      erasedAt: new Date(),
+      $unset: {
+        phone: 1,
+        phoneNormalized: 1,
+        address: 1,
+        profilePicture: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        twoFactor: 1,
+        otpLogin: 1
+      }
+    }
+  );
+};
+
+// Accounts whose restore window has passed
+const findUsersDueForErasure = (asOf = new Date()) => {
+  const cutoff = new Date(asOf.getTime() - User.getRestoreDays() * 24 * 60 * 60 * 1000);
+  return User.find({ deletedAt: { $lte: cutoff }, erasedAt: { $exists: false } });
+};
+
+module.exports = {
+  softDeleteUser,
+  restoreUser,
+  eraseUser,
+  findUsersDueForErasure
+};
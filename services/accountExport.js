@@ -0,0 +1,73 @@
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const Subscription = require('../models/Subscription');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const SupportTicket = require('../models/SupportTicket');
+const QuoteRequest = require('../models/QuoteRequest');
+const Session = require('../models/Session');
+const UsageRecord = require('../models/UsageRecord');
+const { serializeTicket } = require('./ticketSerializer');
+
+const toJsonEntry = (data) => JSON.stringify(data, null, 2);
+
+// Hourly usage as CSV, read through a cursor so years of records aren't
+// loaded into memory
+const createUsageCsv = (userId) => {
+  const cursor = UsageRecord.find({ user: userId })
+    .sort({ hour: 1 })
+    .select('hour downloadBytes uploadBytes')
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  return Readable.from((async function* () {
+    yield 'hour,downloadBytes,uploadBytes\n';
+    for await (const record of cursor) {
+      yield `${record.hour.toISOString()},${record.downloadBytes},${record.uploadBytes}\n`;
+    }
+  })());
+};
+
+// Stream a zip of everything held about the user
+const streamAccountExport = async (req, res, user) => {
+  const [subscriptions, bills, payments, tickets, quotes, sessions] = await Promise.all([
+    Subscription.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+    Bill.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+    Payment.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+    SupportTicket.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+    QuoteRequest.find({ $or: [{ user: user._id }, { email: user.email }] }).sort({ createdAt: 1 }).lean(),
+    Session.find({ user: user._id }).sort({ createdAt: 1 }).select('-__v').lean()
+  ]);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  req.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+  archive.on('error', (error) => {
+    // Headers are already sent, so the only option is to cut the response
+    console.error('Account export stream error:', error);
+    res.destroy(error);
+  });
+
+  const filename = `frampol-account-${new Date().toISOString().slice(0, 10)}.zip`;
+  res.status(200);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  archive.pipe(res);
+
+  archive.append(toJsonEntry(user.toJSON()), { name: 'profile.json' });
+  archive.append(toJsonEntry(subscriptions), { name: 'subscriptions.json' });
+  archive.append(toJsonEntry(bills), { name: 'bills.json' });
+  archive.append(toJsonEntry(payments), { name: 'payments.json' });
+  archive.append(toJsonEntry(tickets.map(ticket => serializeTicket(ticket, { isStaff: false }))), { name: 'support-tickets.json' });
+  archive.append(toJsonEntry(quotes), { name: 'quote-requests.json' });
+  archive.append(toJsonEntry(sessions), { name: 'sessions.json' });
+  archive.append(createUsageCsv(user._id), { name: 'usage-hourly.csv' });
+
+  await archive.finalize();
+};
+
+module.exports = {
+  streamAccountExport
+};
@@ -0,0 +1,100 @@
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getStorageProvider } = require('./storage');
+
+const getMaxBytes = () => (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const getMaxFiles = () => parseInt(process.env.ATTACHMENT_MAX_FILES) || 5;
+
+// Accepted file types, recognised by their leading bytes rather than the
+// client's Content-Type or file extension
+const FILE_TYPES = [
+  { contentType: 'image/png', extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/jpeg', extension: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/gif', extension: '.gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  { contentType: 'image/webp', extension: '.webp', matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  // iPhone photos
+  { contentType: 'image/heic', extension: '.heic', matches: (b) => b.toString('latin1', 4, 8) === 'ftyp' && ['heic', 'heix', 'mif1', 'msf1'].includes(b.toString('latin1', 8, 12)) },
+  { contentType: 'application/pdf', extension: '.pdf', matches: (b) => b.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+const detectFileType = (buffer) => FILE_TYPES.find(type => buffer.length >= 12 && type.matches(buffer)) || null;
+
+// Keep the name readable in downloads without letting it carry paths or
+// header-breaking characters
+const sanitizeFilename = (filename, extension) => {
+  const base = path.basename(String(filename || ''), path.extname(String(filename || '')))
+    .replace(/[^\w\s.-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+  return `${base || 'attachment'}${extension}`;
+};
+
+// Check uploaded files and describe them, without storing anything yet.
+// Resolves to { error } naming the first file that isn't allowed.
+const prepareAttachments = (files = []) => {
+  const prepared = [];
+
+  for (const file of files) {
+    const type = detectFileType(file.buffer);
+    if (!type) {
+      return { error: `${file.originalname} is not a supported file type. Upload PNG, JPEG, GIF, WebP or HEIC images, or PDF documents.` };
+    }
+
+    prepared.push({ file, type });
+  }
+
+  return { attachments: prepared };
+};
+
+// Best-effort cleanup, e.g. when the ticket couldn't be saved
+const removeAttachments = async (attachments) => {
+  const storage = getStorageProvider();
+
+  await Promise.all(attachments.map(attachment =>
+    storage.remove(attachment.storageKey).catch((error) => {
+      console.error(`Attachment cleanup error (${attachment.storageKey}):`, error);
+    })
+  ));
+};
+
+// Store prepared attachments for a ticket and return the message subdocuments
+const storeAttachments = async (ticketId, prepared) => {
+  const storage = getStorageProvider();
+  const stored = [];
+
+  try {
+    for (const { file, type } of prepared) {
+      const _id = new mongoose.Types.ObjectId();
+      const storageKey = `tickets/${ticketId}/${_id}-${crypto.randomBytes(8).toString('hex')}${type.extension}`;
+
+      await storage.put(storageKey, file.buffer, { contentType: type.contentType });
+      stored.push({
+        _id,
+        filename: sanitizeFilename(file.originalname, type.extension),
+        url: `/api/support/tickets/${ticketId}/attachments/${_id}`,
+        size: file.size,
+        contentType: type.contentType,
+        storageKey
+      });
+    }
+  } catch (error) {
+    await removeAttachments(stored);
+    throw error;
+  }
+
+  return stored;
+};
+
+const openAttachment = (attachment) => getStorageProvider().get(attachment.storageKey);
+
+module.exports = {
+  getMaxBytes,
+  getMaxFiles,
+  detectFileType,
+  prepareAttachments,
+  storeAttachments,
+  removeAttachments,
+  openAttachment
+};
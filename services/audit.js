@@ -0,0 +1,118 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never written to the audit log, even as before/after values
+const REDACTED_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'emailVerificationToken',
+  'twoFactor',
+  'otpLogin'
+];
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+const normalize = (value) => JSON.stringify(value === undefined ? null : value);
+
+// Before/after values of the fields that changed. `fields` limits the
+// comparison; by default every field present on either side is compared.
+const diffChanges = (before, after, fields) => {
+  const beforePlain = toPlain(before);
+  const afterPlain = toPlain(after);
+  const keys = fields || [...new Set([...Object.keys(beforePlain), ...Object.keys(afterPlain)])];
+  const changes = { before: {}, after: {} };
+
+  keys
+    .filter(key => !['_id', '__v', 'createdAt', 'updatedAt'].includes(key))
+    .forEach((key) => {
+      if (normalize(beforePlain[key]) === normalize(afterPlain[key])) return;
+
+      const redacted = REDACTED_FIELDS.includes(key);
+      changes.before[key] = redacted ? '[redacted]' : beforePlain[key];
+      changes.after[key] = redacted ? '[redacted]' : afterPlain[key];
+    });
+
+  return changes;
+};
+
+// Write an audit entry for the request (null for background jobs). Failures
+// are logged rather than thrown so auditing never breaks the action itself.
+const recordAudit = async (req, { action, actor, targetType, targetId, before, after, fields, metadata }) => {
+  try {
+    const actingUser = actor !== undefined ? actor : req && req.user;
+
+    await AuditLog.create({
+      actor: actingUser && actingUser._id,
+      actorRole: actingUser && actingUser.role,
+      action,
+      targetType,
+      targetId,
+      changes: before || after ? diffChanges(before, after, fields) : undefined,
+      metadata,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 256) : undefined
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+// TTL indexes keep the expiry they were created with, so bring it in line
+// with AUDIT_RETENTION_DAYS on startup
+const applyAuditRetention = async () => {
+  const expireAfterSeconds = AuditLog.getRetentionDays() * 24 * 60 * 60;
+
+  try {
+    await AuditLog.db.db.command({
+      collMod: AuditLog.collection.collectionName,
+      index: { keyPattern: { createdAt: 1 }, expireAfterSeconds }
+    });
+  } catch (error) {
+    // The collection or index doesn't exist yet; it'll be created with the
+    // current setting
+    if (!['NamespaceNotFound', 'IndexNotFound'].includes(error.codeName)) {
+      throw error;
+    }
+  }
+};
+
+// Personal details that user.update and similar entries may hold
+const PERSONAL_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'phoneNormalized',
+  'address',
+  'profilePicture'
+];
+
+// Strip an erased user's personal data from the audit log: their details in
+// before/after values of entries about them, and the IP and user agent of
+// entries about or by them. This is the one exception to the log being
+// append-only, so it goes through the collection and skips the model's
+// guards. The entries themselves, and who did what, are kept.
+const redactUserFromAudit = async (userId) => {
+  const unsetPersonal = Object.fromEntries(PERSONAL_FIELDS.flatMap(field => [
+    [`changes.before.${field}`, 1],
+    [`changes.after.${field}`, 1]
+  ]));
+
+  await AuditLog.collection.updateMany(
+    { targetType: 'User', targetId: userId },
+    { $unset: { ...unsetPersonal, ip: 1, userAgent: 1 } }
+  );
+  await AuditLog.collection.updateMany(
+    { actor: userId },
+    { $unset: { ip: 1, userAgent: 1 } }
+  );
+};
+
+module.exports = {
+  recordAudit,
+  diffChanges,
+  applyAuditRetention,
+  redactUserFromAudit
+};
@@ -0,0 +1,29 @@
+// Billing cycles run from the subscription's billing day in one month up to
+// (but excluding) the same day of the next month. All dates are UTC.
+
+const getCycleBounds = (billingDay, date = new Date()) => {
+  const day = Math.min(Math.max(parseInt(billingDay) || 1, 1), 28);
+  const d = new Date(date);
+
+  let start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), day));
+  if (d < start) {
+    start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 1, day));
+  }
+
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, day));
+
+  return { start, end };
+};
+
+// The cycle immediately before the one starting at `cycleStart`
+const getPreviousCycle = (billingDay, cycleStart) =>
+  getCycleBounds(billingDay, new Date(cycleStart.getTime() - 1));
+
+const formatPeriod = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+module.exports = {
+  getCycleBounds,
+  getPreviousCycle,
+  formatPeriod
+};
@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+
+// Configure nodemailer transporter
+const createTransporter = () => {
+  // For development, you can use Gmail or other SMTP services
+  // For production, configure with your actual SMTP settings
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: process.env.SMTP_PORT || 587,
+    secure: false, // true for 465, false for other ports
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Escape a value before putting it into email HTML, as text or an attribute
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const isEmailConfigured = () => Boolean(process.env.SMTP_USER && process.env.SMTP_PASS);
+
+// Send an email. Resolves to false (without throwing) when SMTP isn't configured.
+const sendEmail = async ({ to, subject, html, text }) => {
+  if (!isEmailConfigured()) {
+    console.warn(`SMTP credentials not configured - email "${subject}" to ${to} not sent`);
+    return false;
+  }
+
+  await createTransporter().sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    html,
+    text
+  });
+  return true;
+};
+
+module.exports = {
+  createTransporter,
+  escapeHtml,
+  isEmailConfigured,
+  sendEmail
+};
@@ -0,0 +1,88 @@
+// Zimbabwe public holidays, per the Public Holidays and Prohibition of
+// Business Act. A holiday falling on a Sunday is observed on the next day
+// that isn't already a holiday.
+const cache = new Map();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toKey = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+};
+
+// nth (1-based) weekday (0 = Sunday) of a month
+const getNthWeekday = (year, month, weekday, n) => {
+  const first = utcDate(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return addDays(first, offset + (n - 1) * 7);
+};
+
+// [{ date: 'YYYY-MM-DD', name }] for the year, in date order
+const getZimbabweHolidays = (year) => {
+  if (cache.has(year)) return cache.get(year);
+
+  const easter = getEasterSunday(year);
+  const heroesDay = getNthWeekday(year, 8, 1, 2);
+
+  const holidays = [
+    { date: utcDate(year, 1, 1), name: 'New Year\'s Day' },
+    { date: utcDate(year, 2, 21), name: 'Robert Gabriel Mugabe National Youth Day' },
+    { date: addDays(easter, -2), name: 'Good Friday' },
+    { date: addDays(easter, -1), name: 'Holy Saturday' },
+    { date: addDays(easter, 1), name: 'Easter Monday' },
+    { date: utcDate(year, 4, 18), name: 'Independence Day' },
+    { date: utcDate(year, 5, 1), name: 'Workers\' Day' },
+    { date: utcDate(year, 5, 25), name: 'Africa Day' },
+    { date: heroesDay, name: 'Heroes\' Day' },
+    { date: addDays(heroesDay, 1), name: 'Defence Forces Day' },
+    { date: utcDate(year, 12, 22), name: 'National Unity Day' },
+    { date: utcDate(year, 12, 25), name: 'Christmas Day' },
+    { date: utcDate(year, 12, 26), name: 'Boxing Day' }
+  ].sort((a, b) => a.date - b.date);
+
+  const taken = new Set(holidays.map(holiday => toKey(holiday.date)));
+  const observed = [];
+
+  holidays
+    .filter(holiday => holiday.date.getUTCDay() === 0)
+    .forEach((holiday) => {
+      let date = addDays(holiday.date, 1);
+      while (taken.has(toKey(date))) date = addDays(date, 1);
+
+      taken.add(toKey(date));
+      observed.push({ date, name: `${holiday.name} (observed)` });
+    });
+
+  const result = [...holidays, ...observed]
+    .sort((a, b) => a.date - b.date)
+    .map(holiday => ({ date: toKey(holiday.date), name: holiday.name }));
+
+  cache.set(year, result);
+  return result;
+};
+
+module.exports = {
+  getZimbabweHolidays,
+  getEasterSunday
+};
@@ -0,0 +1,156 @@
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#550000';
+const MUTED_COLOR = '#666666';
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+  : '-');
+
+const formatAmount = (amount, currency) => `${currency || 'USD'} ${Number(amount || 0).toFixed(2)}`;
+
+const formatStatus = (status) => (status
+  ? status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ')
+  : '-');
+
+const formatAddress = (address) => {
+  if (!address) return [];
+
+  return [
+    address.street,
+    [address.city, address.state].filter(Boolean).join(', '),
+    [address.zipCode, address.country].filter(Boolean).join(' ')
+  ].filter(Boolean);
+};
+
+const drawHeader = (doc, title, number) => {
+  doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+  doc.fillColor('#ffffff')
+    .fontSize(26)
+    .font('Helvetica-Bold')
+    .text('FRAMPOL', 50, 30);
+  doc.fontSize(16)
+    .text(title, 50, 30, { align: 'right' })
+    .fontSize(10)
+    .font('Helvetica')
+    .text(number, 50, 54, { align: 'right' });
+  doc.fillColor('#000000').moveDown(4);
+};
+
+const drawCustomer = (doc, user) => {
+  const top = 120;
+
+  doc.fontSize(10).fillColor(MUTED_COLOR).text('BILLED TO', 50, top);
+  doc.fillColor('#000000')
+    .fontSize(11)
+    .font('Helvetica-Bold')
+    .text(`${user.firstName} ${user.lastName}`, 50, top + 15)
+    .font('Helvetica')
+    .fontSize(10);
+
+  [...formatAddress(user.address), user.email, user.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+};
+
+const drawRows = (doc, rows, top) => {
+  let y = top;
+
+  rows.forEach(([label, value]) => {
+    doc.fontSize(10).fillColor(MUTED_COLOR).text(label, 50, y, { width: 180 });
+    doc.fillColor('#000000').text(value, 230, y, { width: 315 });
+    y += 22;
+  });
+
+  return y;
+};
+
+const drawTotal = (doc, label, amount, currency, top) => {
+  doc.moveTo(50, top).lineTo(545, top).strokeColor(BRAND_COLOR).stroke();
+  doc.fontSize(14)
+    .font('Helvetica-Bold')
+    .fillColor(BRAND_COLOR)
+    .text(label, 50, top + 12)
+    .text(formatAmount(amount, currency), 50, top + 12, { align: 'right' })
+    .font('Helvetica')
+    .fillColor('#000000');
+};
+
+const drawFooter = (doc) => {
+  doc.fontSize(8)
+    .fillColor(MUTED_COLOR)
+    .text(
+      'Frampol Africa - Thank you for your business. For billing queries, open a support ticket in the Frampol app.',
+      50,
+      doc.page.height - 80,
+      { align: 'center', width: doc.page.width - 100 }
+    );
+};
+
+// Payment references can come from the client (bank transfers), so only
+// characters that are safe in a quoted header value are kept
+const sanitizeFilename = (filename) => String(filename).replace(/[^\w.-]/g, '').slice(0, 100) || 'document.pdf';
+
+const createDocument = (res, filename) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${sanitizeFilename(filename)}"`);
+  doc.pipe(res);
+
+  return doc;
+};
+
+// Stream a branded invoice for a bill to the response
+const streamInvoicePdf = (res, { bill, user }) => {
+  const doc = createDocument(res, `invoice-${bill.billNumber}.pdf`);
+
+  drawHeader(doc, 'INVOICE', bill.billNumber);
+  drawCustomer(doc, user);
+
+  const y = drawRows(doc, [
+    ['Bill number', bill.billNumber],
+    ['Service', bill.service],
+    ['Billing period', bill.period],
+    ['Issue date', formatDate(bill.createdAt)],
+    ['Due date', formatDate(bill.dueDate)],
+    ['Payment status', formatStatus(bill.status)],
+    ...(bill.paidAt ? [['Paid on', formatDate(bill.paidAt)]] : []),
+    ...(bill.totalDue !== bill.amount ? [
+      ['Service charges', formatAmount(bill.amount, bill.currency)],
+      ['Late fee', formatAmount(bill.totalDue - bill.amount, bill.currency)]
+    ] : [])
+  ], 240);
+
+  drawTotal(doc, bill.status === 'paid' ? 'Total paid' : 'Amount due', bill.totalDue, bill.currency, y + 10);
+  drawFooter(doc);
+  doc.end();
+};
+
+// Stream a receipt for a completed payment to the response
+const streamReceiptPdf = (res, { payment, bill, user }) => {
+  const doc = createDocument(res, `receipt-${payment.reference}.pdf`);
+
+  drawHeader(doc, 'RECEIPT', payment.reference);
+  drawCustomer(doc, user);
+
+  const y = drawRows(doc, [
+    ['Receipt reference', payment.reference],
+    ['Bill number', bill.billNumber],
+    ['Service', bill.service],
+    ['Billing period', bill.period],
+    ['Payment method', formatStatus(payment.paymentMethod)],
+    ...(payment.providerReference ? [['Provider reference', payment.providerReference]] : []),
+    ['Payment date', formatDate(payment.processedAt)],
+    ['Payment status', formatStatus(payment.status)]
+  ], 240);
+
+  drawTotal(doc, 'Amount paid', payment.amount, payment.currency, y + 10);
+  drawFooter(doc);
+  doc.end();
+};
+
+module.exports = {
+  streamInvoicePdf,
+  streamReceiptPdf
+};
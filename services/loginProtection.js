@@ -0,0 +1,180 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { notifyUser } = require('./notifications');
+const { recordAudit } = require('./audit');
+
+const getMaxFailures = () => parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const getLockMinutes = () => parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const getDelayAfterFailures = () => parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3;
+const getDistributedIpThreshold = () => parseInt(process.env.LOGIN_DISTRIBUTED_IP_THRESHOLD) || 5;
+const getDistributedWindowMinutes = () => parseInt(process.env.LOGIN_DISTRIBUTED_WINDOW_MINUTES) || 60;
+
+const MAX_DELAY_SECONDS = 60;
+
+// Seconds to wait before the next attempt: doubles with each failure once
+// LOGIN_DELAY_AFTER_FAILURES is reached
+const getDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < getDelayAfterFailures()) return 0;
+  return Math.min(MAX_DELAY_SECONDS, 2 ** (failedAttempts - getDelayAfterFailures() + 1));
+};
+
+const recordAttempt = (req, { email, user, success }) => {
+  return LoginAttempt.create({
+    email,
+    user: user && user._id,
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 256),
+    success
+  });
+};
+
+const lockedBlock = (lockUntil) => ({
+  statusCode: 423,
+  message: 'Account is temporarily locked due to too many failed login attempts. Try again later or reset your password.',
+  lockUntil
+});
+
+// Start a password attempt. It is counted as a failure up front, in one
+// atomic update, so parallel attempts each see the ones before them and
+// can't all slip past the delay; a correct password clears the count.
+// Resolves to why the login can't be tried right now, or null. Locked
+// accounts get 423 and accounts inside a progressive delay get 429 with the
+// seconds to wait. Attempts made during a delay restart it.
+const beginLoginAttempt = async (user) => {
+  const now = new Date();
+
+  // The document as it was before this attempt
+  const previous = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: false }
+  ).select('failedLoginAttempts lastFailedLoginAt lockUntil');
+
+  if (!previous) return lockedBlock(null);
+
+  const refuse = async (block) => {
+    // A refused attempt never reached the password, so it isn't a failure
+    await User.updateOne({ _id: user._id }, { $inc: { failedLoginAttempts: -1 } });
+    return block;
+  };
+
+  if (previous.lockUntil && previous.lockUntil > now) {
+    return refuse(lockedBlock(previous.lockUntil));
+  }
+
+  const delaySeconds = getDelaySeconds(previous.failedLoginAttempts || 0);
+  if (delaySeconds > 0 && previous.lastFailedLoginAt &&
+      previous.lastFailedLoginAt.getTime() + delaySeconds * 1000 > now.getTime()) {
+    return refuse({
+      statusCode: 429,
+      message: 'Too many failed login attempts. Please wait before trying again.',
+      retryAfterSeconds: delaySeconds
+    });
+  }
+
+  return null;
+};
+
+// Lock the account unless it's already locked, and tell the owner. Resolves
+// to true when this call applied the lock.
+const lockAccount = async (user, reason, req) => {
+  const now = new Date();
+  const lockUntil = new Date(now.getTime() + getLockMinutes() * 60 * 1000);
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ lockUntil: { $exists: false } }, { lockUntil: null }, { lockUntil: { $lte: now } }]
+    },
+    { lockUntil, failedLoginAttempts: 0 }
+  );
+
+  if (result.modifiedCount !== 1) return false;
+
+  console.warn(`Locked account ${user._id} until ${lockUntil.toISOString()} (${reason})`);
+  await recordAudit(req, {
+    action: 'auth.account_locked',
+    actor: null,
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { reason, lockUntil }
+  });
+
+  const message = reason === 'distributed'
+    ? `We saw failed sign-in attempts on your Frampol account from many different locations, so we've locked it for ${getLockMinutes()} minutes. If this wasn't you, we recommend resetting your password.`
+    : `Your Frampol account was locked for ${getLockMinutes()} minutes after ${getMaxFailures()} failed sign-in attempts. If this wasn't you, we recommend resetting your password.`;
+
+  notifyUser(user, {
+    subject: 'Your Frampol account has been locked',
+    message,
+    smsMessage: `Frampol: your account was locked after repeated failed sign-in attempts. If this wasn't you, reset your password.`,
+    essential: true
+  }).catch((error) => {
+    console.error('Account lock notification error:', error);
+  });
+
+  return true;
+};
+
+// Failed attempts on the account from distinct IPs within the window
+const countRecentFailureIps = async (user) => {
+  const since = new Date(Date.now() - getDistributedWindowMinutes() * 60 * 1000);
+  const ips = await LoginAttempt.distinct('ip', {
+    user: user._id,
+    success: false,
+    createdAt: { $gte: since }
+  });
+  return ips.length;
+};
+
+// Record a wrong password. Resolves to true when the account got locked,
+// either by the failure count or by failures spread across many IPs.
+const recordLoginFailure = async (user, req) => {
+  await recordAttempt(req, { email: user.email, user, success: false });
+
+  // beginLoginAttempt already counted the failure
+  const updated = await User.findById(user._id);
+
+  if (updated.failedLoginAttempts >= getMaxFailures()) {
+    return lockAccount(updated, 'failures', req);
+  }
+
+  // Per-IP limits don't catch a botnet trying a few passwords each
+  if (await countRecentFailureIps(updated) >= getDistributedIpThreshold()) {
+    return lockAccount(updated, 'distributed', req);
+  }
+
+  return false;
+};
+
+const recordLoginSuccess = async (user, req) => {
+  await recordAttempt(req, { email: user.email, user, success: true });
+
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
+// Attempts for emails with no account are kept for monitoring only
+const recordUnknownLogin = (email, req) => recordAttempt(req, { email, success: false });
+
+const unlockAccount = (userId) => {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      failedLoginAttempts: 0,
+      'otpLogin.failedAttempts': 0,
+      $unset: { lockUntil: 1, lastFailedLoginAt: 1, 'otpLogin.lockUntil': 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordUnknownLogin,
+  unlockAccount
+};
@@ -0,0 +1,64 @@
+const { sendEmail, escapeHtml } = require('./email');
+const { sendSms } = require('./sms');
+
+// Push delivery service, e.g. a Firebase Cloud Messaging integration
+// implementing send(user, notification). Until one is set, push isn't
+// attempted and isn't reported as delivered.
+let pushProvider = null;
+
+const setPushProvider = (provider) => {
+  if (provider && typeof provider.send !== 'function') {
+    throw new Error('Push provider must implement send(user, notification)');
+  }
+  pushProvider = provider;
+};
+
+const renderEmail = (user, { subject, message, html }) => html || `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #550000;">${escapeHtml(subject)}</h2>
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(message)}</p>
+    <p style="color: #666; font-size: 12px;">You are receiving this because of your Frampol notification preferences.</p>
+  </div>
+`;
+
+// Notify a user on every channel enabled in their notification preferences.
+// Security notices (`essential: true`) always go by email. Resolves to the
+// channels that were delivered; a failing channel doesn't stop the others.
+const notifyUser = async (user, notification) => {
+  const preferences = (user.preferences && user.preferences.notifications) || {};
+  const deliveries = [];
+
+  if ((preferences.email !== false || notification.essential) && user.email) {
+    deliveries.push(['email', () => sendEmail({
+      to: user.email,
+      subject: notification.subject,
+      html: renderEmail(user, notification),
+      text: notification.message
+    })]);
+  }
+
+  if (preferences.sms && user.phone) {
+    deliveries.push(['sms', () => sendSms(user.phone, notification.smsMessage || notification.message)]);
+  }
+
+  if (preferences.push !== false && pushProvider) {
+    deliveries.push(['push', () => pushProvider.send(user, notification)]);
+  }
+
+  const delivered = [];
+  for (const [channel, deliver] of deliveries) {
+    try {
+      if (await deliver()) delivered.push(channel);
+    } catch (error) {
+      console.error(`Notification ${channel} delivery failed for user ${user._id}:`, error.message);
+    }
+  }
+
+  return delivered;
+};
+
+module.exports = {
+  notifyUser,
+  setPushProvider
+};
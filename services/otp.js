@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { sendSms } = require('./sms');
+
+const getExpiryMinutes = () => parseInt(process.env.OTP_EXPIRE_MINUTES) || 5;
+const getMaxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const getResendSeconds = () => parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+
+// Keyed so a leaked hash can't be brute-forced without the server secret
+const hashCode = (code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(code)).digest('hex');
+};
+
+const maskPhone = (phone) => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+};
+
+// Text a fresh code, replacing any earlier unused code for the same purpose.
+// Resolves to { sent: false, retryAfterSeconds } when asked again too soon.
+const sendOtp = async ({ user, phone, purpose, message }) => {
+  const now = Date.now();
+  const latest = await OtpCode.findOne({ user: user._id, purpose }).sort({ createdAt: -1 });
+
+  if (latest && !latest.consumedAt && latest.createdAt.getTime() + getResendSeconds() * 1000 > now) {
+    return {
+      sent: false,
+      retryAfterSeconds: Math.ceil((latest.createdAt.getTime() + getResendSeconds() * 1000 - now) / 1000)
+    };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now + getExpiryMinutes() * 60 * 1000);
+
+  await OtpCode.deleteMany({ user: user._id, purpose });
+  await OtpCode.create({
+    user: user._id,
+    phone,
+    purpose,
+    codeHash: hashCode(code),
+    expiresAt
+  });
+
+  await sendSms(phone, (message || 'Your Frampol verification code is {code}. It expires in {minutes} minutes.')
+    .replace('{code}', code)
+    .replace('{minutes}', getExpiryMinutes()));
+
+  return { sent: true, expiresAt, phone: maskPhone(phone) };
+};
+
+// Check a code. Each wrong guess counts against the code, which stops
+// working after OTP_MAX_ATTEMPTS.
+const verifyOtp = async ({ user, purpose, code }) => {
+  const otp = await OtpCode.findOne({
+    user: user._id,
+    purpose,
+    consumedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: getMaxAttempts() }
+  }).sort({ createdAt: -1 });
+
+  if (!otp) return false;
+
+  const expected = Buffer.from(otp.codeHash);
+  const provided = Buffer.from(hashCode(code));
+
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    await OtpCode.updateOne({ _id: otp._id }, { $inc: { attempts: 1 } });
+    return false;
+  }
+
+  // Consume atomically so the same code can't be used twice
+  const consumed = await OtpCode.updateOne(
+    { _id: otp._id, consumedAt: { $exists: false } },
+    { consumedAt: new Date() }
+  );
+  return consumed.modifiedCount === 1;
+};
+
+module.exports = {
+  sendOtp,
+  verifyOtp,
+  maskPhone
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Opaque cursor holding the sort value and _id of the last item on a page
+const encodeCursor = (doc, field) => {
+  const value = doc[field] === undefined ? null : doc[field];
+  return Buffer.from(JSON.stringify({
+    v: value,
+    d: value instanceof Date,
+    id: doc._id
+  })).toString('base64url');
+};
+
+// Resolves to null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    return {
+      value: d && v !== null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filter for the items after the cursor when sorting by { [field]: direction,
+// _id: direction }. Missing values sort before everything else ascending, and
+// $gt/$lt never match null, so they're handled separately.
+const buildCursorFilter = (field, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) conditions.push({ [field]: null });
+
+  return { $or: conditions };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
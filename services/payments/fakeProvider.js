@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Local stand-in for Paynow used in development and tests. Transactions live
+// in memory and are settled with settle(), which returns the signed result
+// payload a real provider would post to the result URL.
+const transactions = new Map();
+
+// No default, so results can't be signed with a secret anyone could look up
+const getSecret = () => {
+  if (!process.env.FAKE_PAYMENT_SECRET) {
+    throw new Error('FAKE_PAYMENT_SECRET is not set');
+  }
+  return process.env.FAKE_PAYMENT_SECRET;
+};
+
+const createHash = (values) => {
+  const concatenated = Object.keys(values)
+    .filter(key => key !== 'hash')
+    .map(key => values[key])
+    .join('');
+
+  return crypto
+    .createHash('sha512')
+    .update(concatenated + getSecret(), 'utf8')
+    .digest('hex')
+    .toUpperCase();
+};
+
+const initiate = async ({ reference, amount, method }) => {
+  const providerReference = `FAKE-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  transactions.set(reference, {
+    reference,
+    providerReference,
+    amount,
+    status: 'pending'
+  });
+
+  return {
+    providerReference,
+    pollUrl: `fake://poll/${reference}`,
+    redirectUrl: method === 'ecocash' ? undefined : `fake://checkout/${reference}`,
+    instructions: method === 'ecocash' ? 'Approve the payment on your phone' : undefined
+  };
+};
+
+const settle = (reference, status = 'paid') => {
+  const transaction = transactions.get(reference);
+  if (!transaction) {
+    throw new Error(`Unknown fake transaction ${reference}`);
+  }
+
+  transaction.status = status;
+
+  const values = {
+    reference: transaction.reference,
+    paynowreference: transaction.providerReference,
+    amount: transaction.amount.toFixed(2),
+    status
+  };
+  values.hash = createHash(values);
+  return values;
+};
+
+const parseResult = (values) => {
+  if (!values || values.hash !== createHash(values)) {
+    throw new Error('Invalid fake provider hash');
+  }
+
+  return {
+    reference: values.reference,
+    providerReference: values.paynowreference,
+    amount: parseFloat(values.amount),
+    status: values.status,
+    providerStatus: values.status
+  };
+};
+
+const poll = async (pollUrl) => {
+  const reference = pollUrl.replace('fake://poll/', '');
+  const transaction = transactions.get(reference);
+
+  if (!transaction) {
+    throw new Error(`Unknown fake transaction ${reference}`);
+  }
+
+  return {
+    reference,
+    providerReference: transaction.providerReference,
+    amount: transaction.amount,
+    status: transaction.status,
+    providerStatus: transaction.status
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  initiate,
+  parseResult,
+  poll,
+  settle,
+  reset: () => transactions.clear()
+};
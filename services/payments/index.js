@@ -0,0 +1,104 @@
+const Bill = require('../../models/Bill');
+const Payment = require('../../models/Payment');
+const Subscription = require('../../models/Subscription');
+const paynowProvider = require('./paynowProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = {
+  paynow: paynowProvider
+};
+
+// Providers that settle payments without moving money. Anyone who knows how
+// they sign results could forge a paid callback, so they only exist in
+// development and test.
+const DEVELOPMENT_PROVIDERS = {
+  fake: fakeProvider
+};
+
+const isDevelopment = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Explicit override, mainly so tests can plug in their own provider
+let overrideProvider = null;
+
+const setPaymentProvider = (provider) => {
+  overrideProvider = provider;
+};
+
+const getPaymentProvider = (name) => {
+  if (!name && overrideProvider) return overrideProvider;
+
+  const providerName = name || process.env.PAYMENT_PROVIDER || 'paynow';
+  const provider = providers[providerName] || (isDevelopment() && DEVELOPMENT_PROVIDERS[providerName]);
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+// Settle a bill and clear a suspension flag raised because of it
+const markBillPaid = async (billId, paidAt = new Date()) => {
+  const bill = await Bill.findByIdAndUpdate(
+    billId,
+    { status: 'paid', paidAt },
+    { new: true }
+  );
+
+  if (bill && bill.subscription) {
+    await Subscription.updateOne(
+      { _id: bill.subscription, 'suspension.status': 'flagged', 'suspension.bill': bill._id },
+      { 'suspension.status': 'cleared', 'suspension.reviewedAt': paidAt, 'suspension.note': 'Bill paid' }
+    );
+  }
+
+  return bill;
+};
+
+// Move a pending payment to its final state and settle the bill when paid.
+// Safe to call repeatedly - callbacks and polls may report the same result.
+const applyPaymentResult = async (payment, result) => {
+  if (payment.status !== 'pending' || result.status === 'pending') {
+    return payment;
+  }
+
+  let status = result.status;
+  let failureReason;
+
+  if (status === 'paid' && result.amount !== undefined && Math.abs(result.amount - payment.amount) > 0.001) {
+    status = 'failed';
+    failureReason = `Provider reported ${result.amount} but ${payment.amount} was expected`;
+  } else if (status !== 'paid') {
+    failureReason = result.providerStatus ? `Provider status: ${result.providerStatus}` : undefined;
+  }
+
+  const processedAt = new Date();
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    {
+      status,
+      processedAt,
+      ...(result.providerReference && { providerReference: result.providerReference }),
+      ...(failureReason && { failureReason })
+    },
+    { new: true }
+  );
+
+  // Another callback or poll got there first
+  if (!updated) {
+    return Payment.findById(payment._id);
+  }
+
+  if (status === 'paid') {
+    await markBillPaid(updated.bill, processedAt);
+  }
+
+  return updated;
+};
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider,
+  applyPaymentResult,
+  markBillPaid
+};
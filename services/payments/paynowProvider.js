@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PAYNOW_BASE_URL = 'https://www.paynow.co.zw/interface';
+
+// Paynow statuses mapped onto our payment statuses
+const STATUS_MAP = {
+  paid: 'paid',
+  'awaiting delivery': 'paid',
+  delivered: 'paid',
+  cancelled: 'cancelled',
+  failed: 'failed',
+  refunded: 'failed',
+  disputed: 'failed',
+  created: 'pending',
+  sent: 'pending'
+};
+
+const getConfig = () => {
+  const integrationId = process.env.PAYNOW_INTEGRATION_ID;
+  const integrationKey = process.env.PAYNOW_INTEGRATION_KEY;
+
+  if (!integrationId || !integrationKey) {
+    throw new Error('Paynow integration credentials are not configured');
+  }
+
+  return {
+    integrationId,
+    integrationKey,
+    resultUrl: process.env.PAYNOW_RESULT_URL,
+    returnUrl: process.env.PAYNOW_RETURN_URL || process.env.PAYNOW_RESULT_URL
+  };
+};
+
+// Paynow hash: SHA512 of every value (in order, excluding the hash itself)
+// followed by the integration key, as upper-case hex
+const createHash = (values, integrationKey) => {
+  const concatenated = Object.keys(values)
+    .filter(key => key.toLowerCase() !== 'hash')
+    .map(key => values[key])
+    .join('');
+
+  return crypto
+    .createHash('sha512')
+    .update(concatenated + integrationKey, 'utf8')
+    .digest('hex')
+    .toUpperCase();
+};
+
+const verifyHash = (values, integrationKey) => {
+  if (!values || typeof values.hash !== 'string') return false;
+
+  const expected = Buffer.from(createHash(values, integrationKey));
+  const received = Buffer.from(values.hash.toUpperCase());
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Paynow expects local mobile numbers, e.g. 0771234567
+const toLocalPhone = (phone) => {
+  const digits = String(phone || '').replace(/[^\d]/g, '');
+  return digits.startsWith('263') ? `0${digits.slice(3)}` : digits;
+};
+
+const parseResponse = (data) => {
+  const values = {};
+  new URLSearchParams(data).forEach((value, key) => {
+    values[key] = value;
+  });
+  return values;
+};
+
+const toResult = (values) => ({
+  reference: values.reference,
+  providerReference: values.paynowreference,
+  amount: values.amount !== undefined ? parseFloat(values.amount) : undefined,
+  pollUrl: values.pollurl,
+  status: STATUS_MAP[String(values.status || '').toLowerCase()] || 'pending',
+  providerStatus: values.status
+});
+
+const post = async (url, values) => {
+  const response = await axios.post(url, new URLSearchParams(values).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 30000
+  });
+  return parseResponse(response.data);
+};
+
+// Start a Paynow web checkout, or an EcoCash express checkout when a method is given
+const initiate = async ({ reference, amount, description, email, phone, method }) => {
+  const config = getConfig();
+  const isMobile = method === 'ecocash';
+
+  const values = {
+    id: config.integrationId,
+    reference,
+    amount: amount.toFixed(2),
+    additionalinfo: description || '',
+    returnurl: config.returnUrl || '',
+    resulturl: config.resultUrl || '',
+    authemail: email || '',
+    ...(isMobile && { phone: toLocalPhone(phone), method }),
+    status: 'Message'
+  };
+  values.hash = createHash(values, config.integrationKey);
+
+  const response = await post(
+    `${PAYNOW_BASE_URL}/${isMobile ? 'remotetransaction' : 'initiatetransaction'}`,
+    values
+  );
+
+  if (String(response.status).toLowerCase() !== 'ok') {
+    throw new Error(response.error || 'Paynow rejected the transaction');
+  }
+
+  if (!verifyHash(response, config.integrationKey)) {
+    throw new Error('Paynow response hash mismatch');
+  }
+
+  return {
+    providerReference: response.paynowreference,
+    pollUrl: response.pollurl,
+    redirectUrl: response.browserurl,
+    instructions: response.instructions
+  };
+};
+
+// Validate a result notification posted to our result URL
+const parseResult = (values) => {
+  const config = getConfig();
+
+  if (!verifyHash(values, config.integrationKey)) {
+    throw new Error('Invalid Paynow hash');
+  }
+
+  return toResult(values);
+};
+
+// Ask Paynow for the latest status of a transaction
+const poll = async (pollUrl) => {
+  const config = getConfig();
+  const response = await post(pollUrl, {});
+
+  if (!verifyHash(response, config.integrationKey)) {
+    throw new Error('Paynow poll response hash mismatch');
+  }
+
+  return toResult(response);
+};
+
+module.exports = {
+  name: 'paynow',
+  initiate,
+  parseResult,
+  poll,
+  createHash
+};
@@ -0,0 +1,62 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// Role permissions are read on almost every staff request, so they're cached
+// per process for ROLE_CACHE_SECONDS and dropped whenever a role changes here
+const cache = new Map();
+
+const getCacheTtlMs = () => (parseInt(process.env.ROLE_CACHE_SECONDS) || 60) * 1000;
+
+const clearPermissionCache = () => {
+  cache.clear();
+};
+
+const getRolePermissions = async (roleName) => {
+  // Admin keeps full access even if its stored role is edited
+  if (roleName === 'admin') {
+    return new Set(Object.keys(PERMISSIONS));
+  }
+
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = new Set(role
+    ? role.permissions
+    : (DEFAULT_ROLES[roleName] && DEFAULT_ROLES[roleName].permissions) || []);
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + getCacheTtlMs() });
+  return permissions;
+};
+
+const hasPermission = async (user, permission) => {
+  const permissions = await getRolePermissions(user.role);
+  return permissions.has(permission);
+};
+
+// Names of the roles that grant a permission; admin always does
+const getRolesWithPermission = async (permission) => {
+  const roles = await Role.find({ permissions: permission }).distinct('name');
+  return [...new Set(['admin', ...roles])];
+};
+
+// Create the built-in roles if they don't exist yet. Existing roles are left
+// as admins configured them.
+const seedDefaultRoles = async () => {
+  await Promise.all(Object.entries(DEFAULT_ROLES).map(([name, role]) => Role.updateOne(
+    { name },
+    { $setOnInsert: { name, description: role.description, permissions: role.permissions, isSystem: true } },
+    { upsert: true }
+  )));
+  clearPermissionCache();
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  getRolesWithPermission,
+  clearPermissionCache,
+  seedDefaultRoles
+};
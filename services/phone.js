@@ -0,0 +1,20 @@
+// Normalize phone numbers to +<country><number> so the same number matches
+// however it was typed. Local numbers (leading 0) get DEFAULT_COUNTRY_CODE.
+const normalizePhone = (phone) => {
+  if (!phone) return phone;
+
+  const countryCode = process.env.DEFAULT_COUNTRY_CODE || '263';
+  const trimmed = String(phone).trim();
+  let digits = trimmed.replace(/\D/g, '');
+
+  if (trimmed.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  if (digits.startsWith('0')) digits = `${countryCode}${digits.slice(1)}`;
+  else if (!digits.startsWith(countryCode)) digits = `${countryCode}${digits}`;
+
+  return `+${digits}`;
+};
+
+module.exports = {
+  normalizePhone
+};
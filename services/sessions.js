@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { recordAudit } = require('./audit');
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Generate a short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
+  });
+};
+
+const createSession = (user, req) => {
+  return Session.create({
+    user: user._id,
+    userAgent: (req.get('user-agent') || '').slice(0, 256),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+};
+
+// Store a new refresh token for the session and return the raw value
+const issueRefreshToken = async (session) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const refreshToken = await RefreshToken.create({
+    tokenHash: hashRefreshToken(token),
+    user: session.user,
+    session: session._id,
+    expiresAt: session.expiresAt
+  });
+
+  return { token, refreshToken };
+};
+
+const setAuthCookies = (res, accessToken, refreshToken, refreshExpiresAt) => {
+  const { exp } = jwt.decode(accessToken);
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  };
+
+  res.cookie('token', accessToken, { ...cookieOptions, expires: new Date(exp * 1000) });
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    expires: refreshExpiresAt
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+// Start a new session for the user and send the access and refresh tokens
+const sendTokenResponse = async (user, statusCode, req, res, message, data) => {
+  const session = await createSession(user, req);
+  const { token: refreshToken } = await issueRefreshToken(session);
+  const token = generateToken(user._id, session._id);
+
+  setAuthCookies(res, token, refreshToken, session.expiresAt);
+
+  res.status(statusCode).json({
+    status: 'success',
+    ...(message && { message }),
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      preferences: user.preferences
+    },
+    ...(data && { data })
+  });
+};
+
+const revokeSession = (sessionId, reason) => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeUserSessions = (userId, reason) => {
+  return Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Exchange a refresh token for a new access/refresh token pair. Resolves to
+// null when the token is unknown, expired or belongs to a revoked session.
+// A token that was already rotated is treated as stolen and its session
+// (the token family) is revoked.
+const rotateRefreshToken = async (rawToken, req) => {
+  const now = new Date();
+  const tokenHash = hashRefreshToken(rawToken);
+
+  // Claim the token atomically so concurrent refreshes can't both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash, usedAt: { $exists: true } });
+    if (reused) {
+      console.warn(`Refresh token reuse detected - revoking session ${reused.session}`);
+      await revokeSession(reused.session, 'token_reuse');
+      await recordAudit(req, {
+        action: 'auth.refresh_token_reuse',
+        actor: null,
+        targetType: 'Session',
+        targetId: reused.session,
+        metadata: { user: reused.user }
+      });
+    }
+    return null;
+  }
+
+  const session = await Session.findById(current.session);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  // Sliding expiry: each refresh extends the session
+  session.lastUsedAt = now;
+  session.expiresAt = new Date(now.getTime() + getRefreshTokenDays() * 24 * 60 * 60 * 1000);
+  await session.save();
+
+  const { token: refreshToken, refreshToken: next } = await issueRefreshToken(session);
+  current.replacedBy = next._id;
+  await current.save();
+
+  return {
+    user,
+    session,
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+module.exports = {
+  generateToken,
+  sendTokenResponse,
+  setAuthCookies,
+  clearAuthCookies,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,181 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const Setting = require('../models/Setting');
+const { getZimbabweHolidays } = require('./holidays');
+const { DEFAULT_SLA_POLICIES, DEFAULT_BUSINESS_HOURS } = require('../config/sla');
+
+const BUSINESS_HOURS_KEY = 'sla.businessHours';
+const EXTRA_HOLIDAYS_KEY = 'sla.extraHolidays';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Give up looking for business time after this many days (e.g. every day
+// configured as closed)
+const MAX_CALENDAR_DAYS = 366;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Business hours, plus ad hoc holidays (e.g. declared election days) as
+// YYYY-MM-DD strings
+const getCalendar = async () => {
+  const [businessHours, extraHolidays] = await Promise.all([
+    Setting.getValue(BUSINESS_HOURS_KEY, DEFAULT_BUSINESS_HOURS),
+    Setting.getValue(EXTRA_HOLIDAYS_KEY, [])
+  ]);
+
+  const extra = new Set(extraHolidays);
+  const holidayYears = new Map();
+
+  const isHoliday = (dateKey) => {
+    if (extra.has(dateKey)) return true;
+
+    const year = Number(dateKey.slice(0, 4));
+    if (!holidayYears.has(year)) {
+      holidayYears.set(year, new Set(getZimbabweHolidays(year).map(holiday => holiday.date)));
+    }
+    return holidayYears.get(year).has(dateKey);
+  };
+
+  return { businessHours, extraHolidays, isHoliday };
+};
+
+const setBusinessHours = (businessHours, updatedBy) => Setting.setValue(BUSINESS_HOURS_KEY, businessHours, updatedBy);
+
+const setExtraHolidays = (dates, updatedBy) => Setting.setValue(EXTRA_HOLIDAYS_KEY, [...new Set(dates)].sort(), updatedBy);
+
+// Open and close times (UTC ms) of the business day containing `time`, or
+// null when closed. Also returns the start of the next local day.
+const getBusinessDay = (time, { businessHours, isHoliday }) => {
+  const offsetMs = businessHours.utcOffsetMinutes * MINUTE_MS;
+  const local = new Date(time + offsetMs);
+  const localMidnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  const nextDay = localMidnight + DAY_MS - offsetMs;
+  const hours = businessHours.days[local.getUTCDay()];
+
+  if (!hours || isHoliday(local.toISOString().slice(0, 10))) {
+    return { open: null, close: null, nextDay };
+  }
+
+  return {
+    open: localMidnight + toMinutes(hours.start) * MINUTE_MS - offsetMs,
+    close: localMidnight + toMinutes(hours.end) * MINUTE_MS - offsetMs,
+    nextDay
+  };
+};
+
+// The moment `minutes` of business time have passed since `start`
+const addBusinessMinutes = (start, minutes, calendar) => {
+  let remainingMs = minutes * MINUTE_MS;
+  let time = new Date(start).getTime();
+
+  for (let day = 0; day < MAX_CALENDAR_DAYS; day++) {
+    const { open, close, nextDay } = getBusinessDay(time, calendar);
+
+    if (open !== null) {
+      const from = Math.max(time, open);
+      if (from < close) {
+        if (close - from >= remainingMs) return new Date(from + remainingMs);
+        remainingMs -= close - from;
+      }
+    }
+
+    time = nextDay;
+  }
+
+  // No business hours configured: fall back to the clock
+  return new Date(new Date(start).getTime() + minutes * MINUTE_MS);
+};
+
+const addTargetMinutes = (start, minutes, businessHoursOnly, calendar) => (businessHoursOnly
+  ? addBusinessMinutes(start, minutes, calendar)
+  : new Date(new Date(start).getTime() + minutes * MINUTE_MS));
+
+// The most specific active policy for a ticket: issue type and priority,
+// then issue type, then priority, then the fallback
+const findPolicy = async ({ issueType, priority }) => {
+  const policies = await SlaPolicy.find({
+    isActive: true,
+    issueType: { $in: [issueType, null] },
+    priority: { $in: [priority, null] }
+  }).lean();
+
+  const score = (policy) => (policy.issueType ? 2 : 0) + (policy.priority ? 1 : 0);
+  return policies.sort((a, b) => score(b) - score(a))[0] || null;
+};
+
+// Set the ticket's SLA targets from the matching policy. Call before the
+// ticket is first saved.
+const applySla = async (ticket, openedAt = new Date()) => {
+  const policy = await findPolicy(ticket);
+  if (!policy) return null;
+
+  const calendar = await getCalendar();
+  const due = (minutes) => addTargetMinutes(openedAt, minutes, policy.businessHoursOnly, calendar);
+  const warnShare = ((policy.escalation && policy.escalation.warnAtPercent) || 80) / 100;
+
+  ticket.sla = {
+    policy: policy._id,
+    businessHoursOnly: policy.businessHoursOnly,
+    firstResponseDueAt: due(policy.firstResponseMinutes),
+    firstResponseEscalateAt: due(policy.firstResponseMinutes * warnShare),
+    resolutionDueAt: due(policy.resolutionMinutes),
+    resolutionEscalateAt: due(policy.resolutionMinutes * warnShare),
+    escalations: []
+  };
+
+  if (!ticket.estimatedResolution) {
+    ticket.estimatedResolution = ticket.sla.resolutionDueAt;
+  }
+
+  return policy;
+};
+
+// Record the first staff reply on a ticket document, including a late one
+// the escalation job hadn't flagged yet
+const recordFirstResponse = (ticket, at = new Date()) => {
+  if (!ticket.sla || !ticket.sla.firstResponseDueAt || ticket.sla.firstResponseAt) return;
+
+  ticket.sla.firstResponseAt = at;
+  if (at > ticket.sla.firstResponseDueAt && !ticket.sla.firstResponseBreachedAt) {
+    ticket.sla.firstResponseBreachedAt = ticket.sla.firstResponseDueAt;
+  }
+};
+
+// Update for a status change: resolving stops the resolution clock and
+// reopening restarts it against the original target
+const getResolutionUpdate = (ticket, status, at = new Date()) => {
+  const sla = ticket.sla;
+  if (!sla || !sla.resolutionDueAt) return {};
+
+  if (['resolved', 'closed'].includes(status)) {
+    if (sla.resolvedAt) return {};
+    return {
+      'sla.resolvedAt': at,
+      ...(at > sla.resolutionDueAt && !sla.resolutionBreachedAt && { 'sla.resolutionBreachedAt': sla.resolutionDueAt })
+    };
+  }
+
+  return sla.resolvedAt ? { $unset: { 'sla.resolvedAt': 1 } } : {};
+};
+
+// Create the default policies when none exist yet
+const seedDefaultSlaPolicies = async () => {
+  if (await SlaPolicy.exists({})) return;
+
+  await SlaPolicy.insertMany(DEFAULT_SLA_POLICIES);
+};
+
+module.exports = {
+  getCalendar,
+  setBusinessHours,
+  setExtraHolidays,
+  addBusinessMinutes,
+  findPolicy,
+  applySla,
+  recordFirstResponse,
+  getResolutionUpdate,
+  seedDefaultSlaPolicies
+};
@@ -0,0 +1,10 @@
+// Development sender that logs messages to the console
+const send = async (to, message) => {
+  console.log(`[SMS] 📱 To ${to}: ${message}`);
+  return true;
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
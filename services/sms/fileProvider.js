@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development sender that appends messages as JSON lines to SMS_FILE_PATH,
+// so codes can be read by scripts and mobile testers
+const getFilePath = () => process.env.SMS_FILE_PATH || path.join(process.cwd(), 'logs', 'sms.log');
+
+const send = async (to, message) => {
+  const filePath = getFilePath();
+  const entry = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.appendFile(filePath, `${entry}\n`);
+  return true;
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,67 @@
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+
+// SMS senders by name. A gateway integration registers itself with
+// registerSmsProvider and is selected with SMS_PROVIDER.
+const providers = {};
+
+// Senders that only log or store messages. They would leak login codes into
+// logs, so they only exist in development and test.
+const DEVELOPMENT_PROVIDERS = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+const isDevelopment = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Explicit override, mainly so tests can capture messages
+let overrideProvider = null;
+
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must implement send(to, message)');
+  }
+  providers[name] = provider;
+};
+
+const setSmsProvider = (provider) => {
+  overrideProvider = provider;
+};
+
+// Throws when no real provider is configured outside development, so codes
+// are never reported as sent when they weren't
+const getSmsProvider = (name) => {
+  if (!name && overrideProvider) return overrideProvider;
+
+  const providerName = name || process.env.SMS_PROVIDER || (isDevelopment() ? 'console' : null);
+  if (!providerName) {
+    throw new Error('No SMS provider is configured');
+  }
+
+  const provider = providers[providerName] || (isDevelopment() && DEVELOPMENT_PROVIDERS[providerName]);
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+const isSmsAvailable = () => {
+  try {
+    getSmsProvider();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const sendSms = (to, message) => getSmsProvider().send(to, message);
+
+module.exports = {
+  sendSms,
+  getSmsProvider,
+  isSmsAvailable,
+  setSmsProvider,
+  registerSmsProvider
+};
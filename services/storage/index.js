@@ -0,0 +1,42 @@
+const localStorage = require('./localStorage');
+const s3Storage = require('./s3Storage');
+
+// File storage backends by name, selected with STORAGE_PROVIDER. Other
+// backends can be added with registerStorageProvider.
+const providers = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+// Explicit override, mainly so tests can keep files in memory
+let overrideProvider = null;
+
+const registerStorageProvider = (name, provider) => {
+  if (!provider || ['put', 'get', 'remove'].some(method => typeof provider[method] !== 'function')) {
+    throw new Error('Storage provider must implement put(key, buffer, options), get(key) and remove(key)');
+  }
+  providers[name] = provider;
+};
+
+const setStorageProvider = (provider) => {
+  overrideProvider = provider;
+};
+
+const getStorageProvider = (name) => {
+  if (!name && overrideProvider) return overrideProvider;
+
+  const providerName = name || process.env.STORAGE_PROVIDER || 'local';
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown storage provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getStorageProvider,
+  setStorageProvider,
+  registerStorageProvider
+};
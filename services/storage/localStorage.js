@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files under UPLOAD_DIR on the local disk. Fine for a single server;
+// use the S3 backend when running more than one.
+const getRoot = () => path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+
+// Keys are generated by us, but never let one escape the upload directory
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+// Readable stream of the file, or null when it doesn't exist
+const get = async (key) => {
+  const filePath = resolveKey(key);
+
+  try {
+    await fs.promises.access(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  return fs.createReadStream(filePath);
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  get,
+  remove
+};
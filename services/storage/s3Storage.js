@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2,
+// Wasabi...). Requests are signed with AWS Signature Version 4.
+const getConfig = () => {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage is not configured');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+
+  return {
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    region,
+    // Custom endpoints (MinIO and friends) usually need path-style URLs
+    endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ''),
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT)
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 URI encoding: every byte except unreserved characters, keeping slashes
+const encodeKey = (key) => key
+  .split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+const buildUrl = (config, key) => {
+  const url = new URL(config.endpoint);
+  if (config.forcePathStyle) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${config.bucket}/${encodeKey(key)}`;
+  } else {
+    url.hostname = `${config.bucket}.${url.hostname}`;
+    url.pathname = `/${encodeKey(key)}`;
+  }
+  return url;
+};
+
+const signRequest = (config, method, url, payloadHash, extraHeaders = {}) => {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${config.region}/s3/aws4_request`;
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...extraHeaders
+  };
+  const signedHeaders = Object.keys(headers).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...signedHeaders.map(name => `${name}:${String(headers[name]).trim()}`),
+    '',
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...requestHeaders } = headers;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+  };
+};
+
+const put = async (key, buffer, { contentType } = {}) => {
+  const config = getConfig();
+  const url = buildUrl(config, key);
+  const headers = signRequest(config, 'PUT', url, sha256(buffer), {
+    'content-type': contentType || 'application/octet-stream'
+  });
+
+  await axios.put(url.toString(), buffer, { headers, maxBodyLength: Infinity });
+};
+
+// Readable stream of the object, or null when it doesn't exist
+const get = async (key) => {
+  const config = getConfig();
+  const url = buildUrl(config, key);
+  const headers = signRequest(config, 'GET', url, sha256(''));
+
+  try {
+    const response = await axios.get(url.toString(), { headers, responseType: 'stream' });
+    return response.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+};
+
+const remove = async (key) => {
+  const config = getConfig();
+  const url = buildUrl(config, key);
+  const headers = signRequest(config, 'DELETE', url, sha256(''));
+
+  await axios.delete(url.toString(), { headers });
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  get,
+  remove
+};
@@ -0,0 +1,58 @@
+// In-process hub that pushes ticket events to connected SSE clients. Each
+// client only receives events for tickets it can see, and internal notes
+// only reach staff. With several API processes behind a load balancer,
+// clients only hear events raised by the process they're connected to.
+const clients = new Set();
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+// Register a connection. `send(event, data)` writes one SSE event; `ticketId`
+// optionally narrows the stream to a single ticket. Returns an unsubscribe
+// function.
+const subscribe = ({ user, isStaff, ticketId, send }) => {
+  const client = { userId: idOf(user), isStaff, ticketId: ticketId && idOf(ticketId), send };
+  clients.add(client);
+
+  return () => clients.delete(client);
+};
+
+const canReceive = (client, ticket, staffOnly) => {
+  if (client.ticketId && client.ticketId !== idOf(ticket)) return false;
+  if (client.isStaff) return true;
+  return !staffOnly && client.userId === idOf(ticket.user);
+};
+
+// Push an event about a ticket to every client allowed to see it.
+// `staffOnly` events (internal notes and their typing indicators) never
+// reach customers. `data` can be a function of the audience ({ isStaff }) so
+// staff and customers each get their own serialization.
+const publishTicketEvent = (ticket, event, data = {}, { staffOnly = false } = {}) => {
+  const payloads = new Map();
+  const payloadFor = (isStaff) => {
+    if (!payloads.has(isStaff)) {
+      payloads.set(isStaff, {
+        ticketId: idOf(ticket),
+        ...(typeof data === 'function' ? data({ isStaff }) : data)
+      });
+    }
+    return payloads.get(isStaff);
+  };
+
+  clients.forEach((client) => {
+    if (!canReceive(client, ticket, staffOnly)) return;
+
+    try {
+      client.send(event, payloadFor(client.isStaff));
+    } catch (error) {
+      console.error('Ticket event delivery error:', error);
+    }
+  });
+};
+
+const getConnectionCount = () => clients.size;
+
+module.exports = {
+  subscribe,
+  publishTicketEvent,
+  getConnectionCount
+};
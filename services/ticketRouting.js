@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const SupportTicket = require('../models/SupportTicket');
+const AgentProfile = require('../models/AgentProfile');
+const AssignmentRule = require('../models/AssignmentRule');
+const User = require('../models/User');
+const { hasPermission, getRolesWithPermission } = require('./permissions');
+
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+// Another ticket being routed to the same agent holds their lock only for a
+// moment, so wait briefly before moving on to the next agent
+const LOCK_ATTEMPTS = 5;
+const LOCK_RETRY_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The user if they can be given tickets: active staff who can reply to them
+const findAssignableStaff = async (userId) => {
+  const user = await User.findOne({ _id: userId, isActive: true, deletedAt: { $exists: false } });
+  return user && await hasPermission(user, 'tickets:respond') ? user : null;
+};
+
+// Open tickets held by each user, leaving out the ticket being routed
+const getOpenTicketCounts = async (userIds, excludeTicketId) => {
+  const counts = await SupportTicket.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: userIds },
+        status: { $in: OPEN_STATUSES },
+        ...(excludeTicketId && { _id: { $ne: excludeTicketId } })
+      }
+    },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+// Agents with a routing profile, each with their current open ticket count
+const getAgents = async ({ excludeTicketId, availableOnly = false } = {}) => {
+  const roles = await getRolesWithPermission('tickets:respond');
+  const profiles = await AgentProfile.find(availableOnly ? { isAvailable: true } : {})
+    .populate({
+      path: 'user',
+      match: { role: { $in: roles }, isActive: true, deletedAt: { $exists: false } },
+      select: 'firstName lastName email role'
+    });
+
+  const agents = profiles.filter(profile => profile.user);
+  const load = await getOpenTicketCounts(agents.map(profile => profile.user._id), excludeTicketId);
+
+  return agents.map(profile => ({
+    profile,
+    openTickets: load.get(String(profile.user._id)) || 0,
+    maxOpenTickets: profile.getMaxOpenTickets()
+  }));
+};
+
+// Available agents below their cap, least loaded first. Ties go to whoever
+// was assigned least recently, which makes equal loads round-robin.
+const getCandidates = async (excludeTicketId) => {
+  const agents = await getAgents({ excludeTicketId, availableOnly: true });
+
+  return agents
+    .filter(agent => agent.openTickets < agent.maxOpenTickets)
+    .sort((a, b) => (a.openTickets - b.openTickets) ||
+      ((a.profile.lastAssignedAt || 0) - (b.profile.lastAssignedAt || 0)));
+};
+
+const matchesRule = ({ conditions }, ticket, city) => {
+  const { issueTypes, priorities, tags, cities } = conditions;
+  const ticketTags = ticket.tags || [];
+
+  if (issueTypes.length && !issueTypes.includes(ticket.issueType)) return false;
+  if (priorities.length && !priorities.includes(ticket.priority)) return false;
+  if (tags.length && !tags.some(tag => ticketTags.includes(tag))) return false;
+  if (cities.length && !(city && cities.some(name => name.toLowerCase() === city.trim().toLowerCase()))) {
+    return false;
+  }
+  return true;
+};
+
+const canTakeRule = (rule, { profile }) =>
+  (!rule.agents.length || rule.agents.some(agentId => agentId.equals(profile.user._id))) &&
+  rule.requiredSkills.every(skill => profile.skills.includes(skill));
+
+// Agents to try in order: the free agents of the first matching rule that
+// has any, then everyone round-robin
+const getChoices = async (ticket, customer, candidates) => {
+  const city = customer && customer.address && customer.address.city;
+  const rules = await AssignmentRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+  const roundRobin = candidates.map(agent => ({ agent, method: 'round_robin' }));
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, ticket, city)) continue;
+
+    const agents = candidates.filter(candidate => canTakeRule(rule, candidate));
+    if (agents.length) {
+      return [...agents.map(agent => ({ agent, method: 'rule', rule: rule._id })), ...roundRobin];
+    }
+  }
+
+  return roundRobin;
+};
+
+// Assign and save the ticket while holding the agent's lock, re-checking
+// their load first. Resolves to false when they're busy or at their cap.
+const claimAgent = async (ticket, { agent, method, rule }) => {
+  const { profile, maxOpenTickets } = agent;
+  const owner = crypto.randomUUID();
+
+  let locked = null;
+  for (let attempt = 0; attempt < LOCK_ATTEMPTS && !locked; attempt++) {
+    if (attempt > 0) await sleep(LOCK_RETRY_MS);
+    locked = await AgentProfile.acquireAssignmentLock(profile._id, owner);
+  }
+  if (!locked) return false;
+
+  const previous = { assignedTo: ticket.assignedTo, routing: ticket.routing };
+  let routedAt;
+
+  try {
+    const load = await getOpenTicketCounts([profile.user._id], ticket._id);
+    if ((load.get(String(profile.user._id)) || 0) >= maxOpenTickets) return false;
+
+    routedAt = new Date();
+    ticket.assignedTo = profile.user._id;
+    ticket.routing = { method, rule, routedAt };
+
+    try {
+      await ticket.save();
+    } catch (error) {
+      ticket.set(previous);
+      routedAt = undefined;
+      throw error;
+    }
+
+    return true;
+  } finally {
+    await AgentProfile.releaseAssignmentLock(profile._id, owner, routedAt);
+  }
+};
+
+// Route a saved ticket and save it with its new agent. The first matching
+// rule with a free agent wins; otherwise the ticket goes round-robin to the
+// least loaded available agent. Each agent's cap is re-checked under a lock
+// as they're claimed. Returns the routing, or null when every agent is
+// unavailable or at their cap.
+const routeTicket = async (ticket, customer) => {
+  const candidates = await getCandidates(ticket._id);
+  if (!candidates.length) return null;
+
+  const tried = new Set();
+  for (const choice of await getChoices(ticket, customer, candidates)) {
+    const profileId = String(choice.agent.profile._id);
+    if (tried.has(profileId)) continue;
+    tried.add(profileId);
+
+    if (await claimAgent(ticket, choice)) return ticket.routing;
+  }
+
+  return null;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  findAssignableStaff,
+  getAgents,
+  routeTicket
+};
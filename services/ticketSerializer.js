@@ -0,0 +1,66 @@
+const { hasPermission } = require('./permissions');
+
+// Ticket fields only staff get to see
+const STAFF_ONLY_FIELDS = ['tags', 'sla', 'routing'];
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const isPopulated = (ref) => Boolean(ref && ref.firstName !== undefined);
+
+// Who a ticket is being shown to. Staff are users who can read every ticket.
+const getTicketAudience = async (user) => ({
+  isStaff: await hasPermission(user, 'tickets:read')
+});
+
+// Where a file is kept is never exposed; downloads go through the API
+const serializeAttachment = ({ storageKey, ...attachment }) => attachment;
+
+// A message as the audience may see it, or null for an internal note shown
+// to a customer
+const serializeMessage = (message, { isStaff }) => {
+  const plain = toPlain(message);
+  if (plain.isInternal && !isStaff) return null;
+
+  return {
+    ...plain,
+    attachments: (plain.attachments || []).map(serializeAttachment)
+  };
+};
+
+// Customers see who is handling their ticket by name only
+const serializeAssignee = (assignee, { isStaff }) => {
+  if (!assignee || isStaff) return assignee;
+  if (!isPopulated(assignee)) return undefined;
+
+  return {
+    firstName: assignee.firstName,
+    lastName: assignee.lastName
+  };
+};
+
+// A ticket as the audience may see it. Every support response and push
+// event goes through here so internal notes can't leak to customers.
+const serializeTicket = (ticket, audience) => {
+  const plain = toPlain(ticket);
+  const serialized = { ...plain };
+
+  if (plain.messages) {
+    serialized.messages = plain.messages
+      .map(message => serializeMessage(message, audience))
+      .filter(Boolean);
+  }
+
+  if (!audience.isStaff) {
+    STAFF_ONLY_FIELDS.forEach(field => delete serialized[field]);
+    serialized.assignedTo = serializeAssignee(plain.assignedTo, audience);
+  }
+
+  return serialized;
+};
+
+module.exports = {
+  getTicketAudience,
+  serializeTicket,
+  serializeMessage,
+  serializeAssignee
+};
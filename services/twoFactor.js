@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { verifyTotp } = require('./totp');
+const { sendOtp, verifyOtp } = require('./otp');
+const { isSmsAvailable } = require('./sms');
+
+const ENFORCED_ROLES_KEY = 'twoFactor.enforcedRoles';
+const BACKUP_CODE_COUNT = 10;
+
+const getEnforcedRoles = () => Setting.getValue(ENFORCED_ROLES_KEY, []);
+
+const setEnforcedRoles = (roles, updatedBy) => Setting.setValue(ENFORCED_ROLES_KEY, roles, updatedBy);
+
+// Users in an enforced role who haven't enrolled yet. They must set up an
+// authenticator app before login issues them a session.
+const isEnrollmentRequired = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) return false;
+
+  const enforcedRoles = await getEnforcedRoles();
+  return enforcedRoles.includes(user.role);
+};
+
+// Second-factor methods a user can use at login. Users who still have to
+// enroll can sign in with an SMS code to their stored phone while a gateway
+// is configured.
+const getLoginMethods = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return user.twoFactor.method === 'totp' ? ['totp', 'sms', 'backup'] : ['sms', 'backup'];
+  }
+
+  return await isEnrollmentRequired(user) && isSmsAvailable() && user.phone ? ['sms'] : [];
+};
+
+// Short-lived token proving the first login step passed. It has no session
+// id, so `protect` won't accept it as an access token. `methods` narrows the
+// second factors allowed, e.g. no SMS after an SMS code was the first step.
+const createChallengeToken = (user, methods) => {
+  return jwt.sign({ id: user._id, purpose: '2fa', ...(methods && { methods }) }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate backup codes. The plain codes are shown once; only hashes are kept.
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => User.hashToken(code))
+  };
+};
+
+const normalizeBackupCode = (code) => {
+  const raw = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+// Remove a backup code atomically so each one works only once
+const consumeBackupCode = async (userId, code) => {
+  const hash = User.hashToken(normalizeBackupCode(code));
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Verify a TOTP code for an enrolled user, rejecting codes from a time step
+// that was already used
+const consumeTotpCode = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.totpSecret');
+  if (!user || !user.twoFactor.totpSecret) return false;
+
+  const step = verifyTotp(user.twoFactor.totpSecret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastTotpStep': { $exists: false } },
+        { 'twoFactor.lastTotpStep': { $lt: step } }
+      ]
+    },
+    { 'twoFactor.lastTotpStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Methods allowed for a challenge: the user's methods, narrowed by the token
+const getChallengeMethods = async (user, challenge) => {
+  const methods = await getLoginMethods(user);
+  return challenge.methods ? methods.filter((method) => challenge.methods.includes(method)) : methods;
+};
+
+const sendLoginCode = (user) => {
+  return sendOtp({
+    user,
+    phone: user.phone,
+    purpose: 'login_2fa',
+    message: 'Your Frampol login code is {code}. It expires in {minutes} minutes. Never share it with anyone.'
+  });
+};
+
+// Check a second-factor code at login using the chosen method
+const verifyLoginCode = (user, method, code) => {
+  switch (method) {
+    case 'totp':
+      return consumeTotpCode(user._id, code);
+    case 'sms':
+      return verifyOtp({ user, purpose: 'login_2fa', code });
+    case 'backup':
+      return consumeBackupCode(user._id, code);
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  getEnforcedRoles,
+  setEnforcedRoles,
+  isEnrollmentRequired,
+  getLoginMethods,
+  createChallengeToken,
+  verifyChallengeToken,
+  getChallengeMethods,
+  generateBackupCodes,
+  consumeTotpCode,
+  sendLoginCode,
+  verifyLoginCode
+};
@@ -0,0 +1,406 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const UsageRecord = require('../models/UsageRecord');
+const UsageSession = require('../models/UsageSession');
+const { getCycleBounds, getPreviousCycle, formatPeriod } = require('./billingCycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const BYTES_PER_GB = 1e9;
+const GIGAWORD = 2 ** 32;
+
+const toGB = (bytes) => Math.round((bytes / BYTES_PER_GB) * 100) / 100;
+
+const startOfHour = (date) => new Date(Math.floor(new Date(date).getTime() / HOUR_MS) * HOUR_MS);
+
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// RADIUS counters wrap at 32 bits; gigawords carry the overflow
+const toBytes = (octets, gigawords) =>
+  (parseInt(gigawords) || 0) * GIGAWORD + (parseInt(octets) || 0);
+
+// Split a byte delta across the hours between two timestamps, in proportion
+// to the time spent in each hour
+const spreadAcrossHours = (from, to, downloadBytes, uploadBytes) => {
+  const start = from && from < to ? from.getTime() : to.getTime();
+  const end = to.getTime();
+  const span = end - start;
+
+  if (span === 0) {
+    return [{ hour: startOfHour(to), downloadBytes, uploadBytes }];
+  }
+
+  const buckets = [];
+  for (let hour = startOfHour(start).getTime(); hour < end; hour += HOUR_MS) {
+    const overlap = Math.min(hour + HOUR_MS, end) - Math.max(hour, start);
+    buckets.push({
+      hour: new Date(hour),
+      share: overlap / span
+    });
+  }
+
+  // Round per bucket and give the remainder to the last one so totals match
+  let downloadLeft = downloadBytes;
+  let uploadLeft = uploadBytes;
+
+  return buckets.map((bucket, index) => {
+    const isLast = index === buckets.length - 1;
+    const download = isLast ? downloadLeft : Math.round(downloadBytes * bucket.share);
+    const upload = isLast ? uploadLeft : Math.round(uploadBytes * bucket.share);
+    downloadLeft -= download;
+    uploadLeft -= upload;
+    return { hour: bucket.hour, downloadBytes: download, uploadBytes: upload };
+  });
+};
+
+const normalizeRecord = (record) => {
+  const timestamp = record.timestamp ? new Date(record.timestamp) : new Date();
+
+  return {
+    sessionId: String(record.sessionId || '').trim(),
+    username: String(record.username || '').trim(),
+    type: String(record.type || 'interim').toLowerCase(),
+    timestamp,
+    downloadBytes: toBytes(record.outputOctets, record.outputGigawords),
+    uploadBytes: toBytes(record.inputOctets, record.inputGigawords),
+    // Acct-Session-Time lets us place usage from a session we first see mid-way
+    startedAt: record.sessionTime !== undefined
+      ? new Date(timestamp.getTime() - (parseInt(record.sessionTime) || 0) * 1000)
+      : undefined,
+    nasIpAddress: record.nasIpAddress,
+    framedIpAddress: record.framedIpAddress
+  };
+};
+
+// Apply one accounting record to its session. Counters are cumulative, so
+// only growth beyond the stored totals is counted; replayed or stale records
+// produce no delta. Returns the delta applied, or null for a no-op.
+const applyRecord = async (record, subscription) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const session = await UsageSession.findOne({ sessionId: record.sessionId });
+
+    if (!session) {
+      try {
+        await UsageSession.create({
+          sessionId: record.sessionId,
+          user: subscription.user,
+          subscription: subscription._id,
+          username: record.username,
+          nasIpAddress: record.nasIpAddress,
+          framedIpAddress: record.framedIpAddress,
+          status: record.type === 'stop' ? 'stopped' : 'active',
+          startedAt: record.type === 'start' ? record.timestamp : record.startedAt,
+          stoppedAt: record.type === 'stop' ? record.timestamp : undefined,
+          lastUpdateAt: record.timestamp,
+          downloadBytes: record.downloadBytes,
+          uploadBytes: record.uploadBytes
+        });
+
+        return {
+          user: subscription.user,
+          from: record.startedAt,
+          to: record.timestamp,
+          downloadBytes: record.downloadBytes,
+          uploadBytes: record.uploadBytes
+        };
+      } catch (error) {
+        // Created concurrently by another batch - retry against it
+        if (error.code === 11000) continue;
+        throw error;
+      }
+    }
+
+    const downloadDelta = Math.max(record.downloadBytes - session.downloadBytes, 0);
+    const uploadDelta = Math.max(record.uploadBytes - session.uploadBytes, 0);
+    const stops = record.type === 'stop' && session.status !== 'stopped';
+
+    if (downloadDelta === 0 && uploadDelta === 0 && !stops) {
+      return null;
+    }
+
+    const update = {
+      downloadBytes: Math.max(record.downloadBytes, session.downloadBytes),
+      uploadBytes: Math.max(record.uploadBytes, session.uploadBytes)
+    };
+    if (!session.lastUpdateAt || record.timestamp > session.lastUpdateAt) {
+      update.lastUpdateAt = record.timestamp;
+    }
+    if (stops) {
+      update.status = 'stopped';
+      update.stoppedAt = record.timestamp;
+    }
+
+    // Only succeeds if no other batch moved the counters in the meantime
+    const updated = await UsageSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        downloadBytes: session.downloadBytes,
+        uploadBytes: session.uploadBytes,
+        status: session.status
+      },
+      update
+    );
+
+    if (!updated) continue;
+
+    return {
+      user: session.user,
+      from: session.lastUpdateAt || session.startedAt,
+      to: record.timestamp,
+      downloadBytes: downloadDelta,
+      uploadBytes: uploadDelta
+    };
+  }
+
+  throw new Error(`Could not apply accounting record for session ${record.sessionId}`);
+};
+
+const addToHourlyRecords = async (delta) => {
+  const buckets = spreadAcrossHours(delta.from, delta.to, delta.downloadBytes, delta.uploadBytes)
+    .filter(bucket => bucket.downloadBytes > 0 || bucket.uploadBytes > 0);
+
+  if (buckets.length === 0) return;
+
+  await UsageRecord.bulkWrite(buckets.map(bucket => ({
+    updateOne: {
+      filter: { user: delta.user, hour: bucket.hour },
+      update: { $inc: { downloadBytes: bucket.downloadBytes, uploadBytes: bucket.uploadBytes } },
+      upsert: true
+    }
+  })));
+};
+
+// Ingest a batch of accounting records. Idempotent per session ID: replaying
+// a batch doesn't double-count usage.
+const ingestAccountingRecords = async (records) => {
+  const summary = { received: records.length, applied: 0, duplicates: 0, unmatched: 0, invalid: 0 };
+  const affectedUsers = new Set();
+  const subscriptions = new Map();
+
+  // Process each session's records in time order
+  const normalized = records
+    .map(normalizeRecord)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const record of normalized) {
+    if (!record.sessionId || !record.username || isNaN(record.timestamp.getTime())) {
+      summary.invalid++;
+      continue;
+    }
+
+    if (!subscriptions.has(record.username)) {
+      subscriptions.set(record.username, await Subscription.findOne({ radiusUsername: record.username }));
+    }
+    const subscription = subscriptions.get(record.username);
+
+    if (!subscription) {
+      summary.unmatched++;
+      continue;
+    }
+
+    const delta = await applyRecord(record, subscription);
+
+    if (!delta) {
+      summary.duplicates++;
+      continue;
+    }
+
+    await addToHourlyRecords(delta);
+    affectedUsers.add(delta.user.toString());
+    summary.applied++;
+  }
+
+  return { summary, affectedUsers: [...affectedUsers] };
+};
+
+// The user's current subscription and plan, used for cycle dates and limits
+const getSubscriptionContext = async (userId) => {
+  const subscription = await Subscription.findOne({
+    user: userId,
+    status: { $ne: 'cancelled' }
+  })
+    .sort({ createdAt: -1 })
+    .populate('plan');
+
+  return {
+    subscription,
+    plan: subscription ? subscription.plan : null,
+    billingDay: subscription ? subscription.billingDay : 1
+  };
+};
+
+// Total bytes per UTC day between two dates
+const getDailyTotals = async (userId, from, to) => {
+  const results = await UsageRecord.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        hour: { $gte: from, $lt: to }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$hour' } },
+        downloadBytes: { $sum: '$downloadBytes' },
+        uploadBytes: { $sum: '$uploadBytes' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(result => [result._id, result.downloadBytes + result.uploadBytes]));
+};
+
+const sumDays = (dailyTotals, from, to) => {
+  const days = [];
+  for (let day = startOfDay(from).getTime(); day < to.getTime(); day += DAY_MS) {
+    days.push(dailyTotals.get(toDateKey(day)) || 0);
+  }
+  return days;
+};
+
+const getCurrentUsage = async (userId, now = new Date()) => {
+  const { plan, billingDay } = await getSubscriptionContext(userId);
+  const cycle = getCycleBounds(billingDay, now);
+
+  const dailyTotals = await getDailyTotals(userId, cycle.start, cycle.end);
+  const days = sumDays(dailyTotals, cycle.start, new Date(Math.min(now.getTime(), cycle.end.getTime()) + 1));
+  const totalBytes = days.reduce((total, bytes) => total + bytes, 0);
+
+  const lastSession = await UsageSession.findOne({ user: userId })
+    .sort({ lastUpdateAt: -1 })
+    .select('lastUpdateAt');
+
+  return {
+    dataUsed: toGB(totalBytes),
+    dataLimit: plan && plan.dataLimit !== undefined ? plan.dataLimit : null,
+    daysRemaining: Math.max(Math.ceil((cycle.end - now) / DAY_MS), 0),
+    averageDailyUsage: toGB(totalBytes / Math.max(days.length, 1)),
+    peakUsage: toGB(Math.max(0, ...days)),
+    cycleStart: cycle.start,
+    cycleEnd: cycle.end,
+    lastUpdated: lastSession ? lastSession.lastUpdateAt : null
+  };
+};
+
+// Completed billing cycles, most recent first
+const getMonthlyHistory = async (userId, months = 6, now = new Date()) => {
+  const { plan, billingDay } = await getSubscriptionContext(userId);
+
+  const cycles = [];
+  let cycle = getPreviousCycle(billingDay, getCycleBounds(billingDay, now).start);
+  for (let i = 0; i < months; i++) {
+    cycles.push(cycle);
+    cycle = getPreviousCycle(billingDay, cycle.start);
+  }
+
+  const oldest = cycles[cycles.length - 1];
+  const dailyTotals = await getDailyTotals(userId, oldest.start, cycles[0].end);
+
+  return cycles.map(({ start, end }) => {
+    const days = sumDays(dailyTotals, start, end);
+    const totalBytes = days.reduce((total, bytes) => total + bytes, 0);
+
+    return {
+      month: formatPeriod(start),
+      cycleStart: start,
+      cycleEnd: end,
+      dataUsed: toGB(totalBytes),
+      dataLimit: plan && plan.dataLimit !== undefined ? plan.dataLimit : null,
+      days: days.length,
+      averageDaily: toGB(totalBytes / days.length)
+    };
+  });
+};
+
+// Usage for each of the last `days` days, including today
+const getDailyUsage = async (userId, days = 7, now = new Date()) => {
+  const to = new Date(startOfDay(now).getTime() + DAY_MS);
+  const from = new Date(to.getTime() - days * DAY_MS);
+  const dailyTotals = await getDailyTotals(userId, from, to);
+
+  const result = [];
+  for (let day = from.getTime(); day < to.getTime(); day += DAY_MS) {
+    result.push({
+      date: toDateKey(day),
+      usage: toGB(dailyTotals.get(toDateKey(day)) || 0)
+    });
+  }
+  return result;
+};
+
+// Usage for each hour of the given UTC day
+// Customers read hours of the day in Zimbabwe time
+const LOCAL_TIMEZONE = 'Africa/Harare';
+
+// Usage for each local hour of the local day containing `date`
+const getHourlyUsage = async (userId, date = new Date()) => {
+  const day = new Date(date).toLocaleDateString('en-CA', { timeZone: LOCAL_TIMEZONE });
+  // The local day lies within a day either side of the UTC one
+  const from = new Date(startOfDay(date).getTime() - DAY_MS);
+  const to = new Date(from.getTime() + 3 * DAY_MS);
+
+  const results = await UsageRecord.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        hour: { $gte: from, $lt: to }
+      }
+    },
+    {
+      $project: {
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$hour', timezone: LOCAL_TIMEZONE } },
+        hourOfDay: { $hour: { date: '$hour', timezone: LOCAL_TIMEZONE } },
+        bytes: { $add: ['$downloadBytes', '$uploadBytes'] }
+      }
+    },
+    { $match: { day } },
+    { $group: { _id: '$hourOfDay', bytes: { $sum: '$bytes' } } }
+  ]);
+
+  const byHour = new Map(results.map(result => [result._id, result.bytes]));
+
+  return Array.from({ length: 24 }, (_, hour) => ({
+    hour: `${String(hour).padStart(2, '0')}:00`,
+    usage: toGB(byHour.get(hour) || 0)
+  }));
+};
+
+// Total usage per local hour of the day over the last `days` days, used to
+// find when a user is busiest
+const getHourOfDayUsage = async (userId, days = 30, now = new Date()) => {
+  const to = new Date(startOfDay(now).getTime() + DAY_MS);
+  const from = new Date(to.getTime() - days * DAY_MS);
+
+  const results = await UsageRecord.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        hour: { $gte: from, $lt: to }
+      }
+    },
+    {
+      $group: {
+        _id: { $hour: { date: '$hour', timezone: LOCAL_TIMEZONE } },
+        bytes: { $sum: { $add: ['$downloadBytes', '$uploadBytes'] } }
+      }
+    }
+  ]);
+
+  const byHour = new Map(results.map(result => [result._id, result.bytes]));
+
+  return Array.from({ length: 24 }, (_, hour) => toGB(byHour.get(hour) || 0));
+};
+
+module.exports = {
+  ingestAccountingRecords,
+  getSubscriptionContext,
+  getCurrentUsage,
+  getMonthlyHistory,
+  getDailyUsage,
+  getHourlyUsage,
+  getHourOfDayUsage,
+  spreadAcrossHours,
+  toGB
+};
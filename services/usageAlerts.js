@@ -0,0 +1,87 @@
+const User = require('../models/User');
+const UsageAlert = require('../models/UsageAlert');
+const { getCurrentUsage } = require('./usage');
+const { notifyUser } = require('./notifications');
+
+const DEFAULT_THRESHOLDS = (process.env.USAGE_ALERT_THRESHOLDS || '50,80,100')
+  .split(',')
+  .map(threshold => parseInt(threshold))
+  .filter(threshold => threshold > 0 && threshold <= 100);
+
+const getThresholds = (user) => {
+  const alerts = user.preferences && user.preferences.usageAlerts;
+  const thresholds = alerts && alerts.thresholds && alerts.thresholds.length > 0
+    ? alerts.thresholds
+    : DEFAULT_THRESHOLDS;
+
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+};
+
+const buildAlert = (threshold, usage) => {
+  const used = `${usage.dataUsed} GB of ${usage.dataLimit} GB`;
+
+  if (threshold >= 100) {
+    return {
+      subject: 'You have reached your Frampol data limit',
+      message: `You have used ${used} this billing cycle. Your speed may be reduced until the cycle resets in ${usage.daysRemaining} days. Upgrade your plan in the Frampol app to stay at full speed.`,
+      smsMessage: `Frampol: You've used ${used} - your data limit is reached. Upgrade in the Frampol app.`
+    };
+  }
+
+  return {
+    subject: `You have used ${threshold}% of your Frampol data`,
+    message: `You have used ${used} this billing cycle, with ${usage.daysRemaining} days remaining.`,
+    smsMessage: `Frampol: You've used ${threshold}% of your data (${used}), ${usage.daysRemaining} days left in your cycle.`
+  };
+};
+
+// Check a user's usage against their thresholds and notify them of any newly
+// crossed ones. Each threshold fires at most once per billing cycle; if
+// several are crossed at once only the highest is sent.
+const evaluateUsageAlerts = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) return [];
+
+  const settings = user.preferences && user.preferences.usageAlerts;
+  if (settings && settings.enabled === false) return [];
+
+  const usage = await getCurrentUsage(user._id);
+  if (!usage.dataLimit) return [];
+
+  const percentUsed = (usage.dataUsed / usage.dataLimit) * 100;
+  const crossed = getThresholds(user).filter(threshold => percentUsed >= threshold);
+
+  const newlyCrossed = [];
+  for (const threshold of crossed) {
+    try {
+      const alert = await UsageAlert.create({
+        user: user._id,
+        cycleStart: usage.cycleStart,
+        threshold,
+        dataUsed: usage.dataUsed,
+        dataLimit: usage.dataLimit
+      });
+      newlyCrossed.push(alert);
+    } catch (error) {
+      // Already alerted for this threshold in this cycle
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (newlyCrossed.length === 0) return [];
+
+  const highest = newlyCrossed[newlyCrossed.length - 1];
+  const channels = await notifyUser(user, buildAlert(highest.threshold, usage));
+
+  highest.channels = channels;
+  highest.sentAt = new Date();
+  await highest.save();
+
+  return newlyCrossed;
+};
+
+module.exports = {
+  evaluateUsageAlerts,
+  getThresholds,
+  DEFAULT_THRESHOLDS
+};
@@ -0,0 +1,258 @@
+const ServicePlan = require('../models/ServicePlan');
+const {
+  getCurrentUsage,
+  getMonthlyHistory,
+  getDailyUsage,
+  getHourOfDayUsage,
+  getSubscriptionContext
+} = require('./usage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative change per month (as a share of the mean) treated as "stable"
+const TREND_TOLERANCE = 0.05;
+const PEAK_WINDOW_HOURS = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / (values.length || 1);
+
+// Least-squares slope of values against their index
+const slope = (values) => {
+  const n = values.length;
+  if (n < 2) return 0;
+
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let numerator = 0;
+  let denominator = 0;
+
+  values.forEach((y, x) => {
+    numerator += (x - xMean) * (y - yMean);
+    denominator += (x - xMean) ** 2;
+  });
+
+  return numerator / denominator;
+};
+
+// Classify monthly usage (oldest first) as increasing, decreasing or stable
+const classifyTrend = (monthlyUsage) => {
+  if (monthlyUsage.length < 2) return 'insufficient_data';
+
+  const average = mean(monthlyUsage);
+  if (average === 0) return 'stable';
+
+  const relativeChange = slope(monthlyUsage) / average;
+  if (relativeChange > TREND_TOLERANCE) return 'increasing';
+  if (relativeChange < -TREND_TOLERANCE) return 'decreasing';
+  return 'stable';
+};
+
+// Usage per weekday relative to the overall daily average. Needs four full
+// weeks of history to be meaningful; returns null otherwise.
+const getWeekdayFactors = (dailyUsage) => {
+  if (dailyUsage.length < 28) return null;
+
+  const overall = mean(dailyUsage.map(day => day.usage));
+  if (overall === 0) return null;
+
+  const byWeekday = Array.from({ length: 7 }, () => []);
+  dailyUsage.forEach(day => byWeekday[new Date(day.date).getUTCDay()].push(day.usage));
+
+  return byWeekday.map(values => mean(values) / overall);
+};
+
+// Project usage to the end of the billing cycle. Uses the weekday pattern of
+// the last few weeks when there's enough history, otherwise the linear trend
+// of the cycle so far.
+const projectCycleUsage = (current, dailyUsage, now = new Date()) => {
+  const remainingMs = Math.max(current.cycleEnd - now, 0);
+  const cycleStartKey = new Date(current.cycleStart).toISOString().slice(0, 10);
+  const todayKey = now.toISOString().slice(0, 10);
+
+  // Completed days of the current cycle
+  const cycleDays = dailyUsage
+    .filter(day => day.date >= cycleStartKey && day.date < todayKey)
+    .map(day => day.usage);
+
+  const factors = getWeekdayFactors(dailyUsage.filter(day => day.date < todayKey));
+
+  if (factors) {
+    const recent = dailyUsage.filter(day => day.date < todayKey).slice(-14);
+    const baseRate = mean(recent.map(day => day.usage));
+    let projected = current.dataUsed;
+
+    for (let time = now.getTime(); time < now.getTime() + remainingMs; time = Math.floor(time / DAY_MS + 1) * DAY_MS) {
+      const dayEnd = Math.min(Math.floor(time / DAY_MS + 1) * DAY_MS, now.getTime() + remainingMs);
+      projected += baseRate * factors[new Date(time).getUTCDay()] * ((dayEnd - time) / DAY_MS);
+    }
+
+    return { projectedUsage: round(projected), method: 'seasonal' };
+  }
+
+  // Daily rate from the slope of cumulative usage, falling back to the average
+  let dailyRate;
+  if (cycleDays.length >= 2) {
+    let cumulative = 0;
+    dailyRate = slope(cycleDays.map(usage => (cumulative += usage)));
+  } else {
+    const elapsedDays = Math.max((now - current.cycleStart) / DAY_MS, 1);
+    dailyRate = current.dataUsed / elapsedDays;
+  }
+
+  return {
+    projectedUsage: round(current.dataUsed + Math.max(dailyRate, 0) * (remainingMs / DAY_MS)),
+    method: 'linear'
+  };
+};
+
+// The busiest run of consecutive hours (wrapping past midnight)
+const detectPeakWindow = (hourOfDayUsage, windowHours = PEAK_WINDOW_HOURS) => {
+  const total = hourOfDayUsage.reduce((sum, usage) => sum + usage, 0);
+  if (total === 0) return null;
+
+  let bestStart = 0;
+  let bestUsage = -1;
+
+  for (let start = 0; start < 24; start++) {
+    let usage = 0;
+    for (let offset = 0; offset < windowHours; offset++) {
+      usage += hourOfDayUsage[(start + offset) % 24];
+    }
+    if (usage > bestUsage) {
+      bestUsage = usage;
+      bestStart = start;
+    }
+  }
+
+  const formatHour = (hour) => `${String(hour % 24).padStart(2, '0')}:00`;
+
+  return {
+    start: formatHour(bestStart),
+    end: formatHour(bestStart + windowHours),
+    sharePercent: round((bestUsage / total) * 100)
+  };
+};
+
+const describePlan = (plan) => ({
+  id: plan._id,
+  name: plan.name,
+  price: plan.price,
+  currency: plan.currency,
+  dataLimit: plan.dataLimit !== undefined ? plan.dataLimit : null
+});
+
+// Suggest a bigger plan when usage is heading over the limit, or a cheaper one
+// when the user consistently uses well under it
+const recommendPlan = (plan, plans, { projectedUsage, averageMonthlyUsage, monthsOfHistory }) => {
+  if (!plan || plan.dataLimit === undefined || plan.dataLimit === null) return null;
+
+  const needed = Math.max(projectedUsage, averageMonthlyUsage);
+
+  if (needed > plan.dataLimit * 0.9) {
+    const upgrade = plans
+      .filter(candidate => !candidate._id.equals(plan._id) && candidate.price > plan.price)
+      .filter(candidate => candidate.dataLimit === undefined || candidate.dataLimit === null || candidate.dataLimit >= needed * 1.1)
+      .sort((a, b) => a.price - b.price)[0];
+
+    if (upgrade) {
+      return {
+        type: 'upgrade',
+        plan: describePlan(upgrade),
+        reason: `You are on track to use ${round(needed)} GB against your ${plan.dataLimit} GB limit`
+      };
+    }
+  }
+
+  if (monthsOfHistory >= 3 && projectedUsage < plan.dataLimit * 0.4 && averageMonthlyUsage < plan.dataLimit * 0.4) {
+    const downgrade = plans
+      .filter(candidate => !candidate._id.equals(plan._id) && candidate.price < plan.price)
+      .filter(candidate => candidate.dataLimit !== undefined && candidate.dataLimit !== null && candidate.dataLimit >= needed * 1.25)
+      .sort((a, b) => a.price - b.price)[0];
+
+    if (downgrade) {
+      return {
+        type: 'downgrade',
+        plan: describePlan(downgrade),
+        reason: `You have averaged ${round(averageMonthlyUsage)} GB a month, well under your ${plan.dataLimit} GB limit`
+      };
+    }
+  }
+
+  return null;
+};
+
+const buildRecommendations = ({ current, projection, peakWindow, planRecommendation, usageTrend }) => {
+  const recommendations = [];
+
+  if (planRecommendation) {
+    recommendations.push(planRecommendation.type === 'upgrade'
+      ? `Consider upgrading to ${planRecommendation.plan.name}: ${planRecommendation.reason.toLowerCase()}`
+      : `You could save by switching to ${planRecommendation.plan.name}: ${planRecommendation.reason.toLowerCase()}`);
+  } else if (current.dataLimit && projection.projectedUsage > current.dataLimit) {
+    recommendations.push(`At your current rate you will pass your ${current.dataLimit} GB limit before the cycle ends`);
+  }
+
+  if (peakWindow) {
+    recommendations.push(`Peak usage hours are ${peakWindow.start}-${peakWindow.end} (${peakWindow.sharePercent}% of your data)`);
+  }
+
+  if (usageTrend === 'increasing') {
+    recommendations.push('Your monthly usage has been increasing');
+  } else if (usageTrend === 'decreasing') {
+    recommendations.push('Your monthly usage has been decreasing');
+  }
+
+  return recommendations;
+};
+
+// Usage summary computed from the user's own history
+const getUsageSummary = async (userId, { months = 3 } = {}) => {
+  const now = new Date();
+
+  const [current, history, dailyUsage, hourOfDayUsage, { plan }, plans] = await Promise.all([
+    getCurrentUsage(userId, now),
+    getMonthlyHistory(userId, months, now),
+    getDailyUsage(userId, 56, now),
+    getHourOfDayUsage(userId, 30, now),
+    getSubscriptionContext(userId),
+    ServicePlan.find({ isActive: true })
+  ]);
+
+  // Ignore empty cycles from before the user had any usage
+  const firstActive = history.map(month => month.dataUsed > 0).lastIndexOf(true);
+  const activeHistory = firstActive === -1 ? [] : history.slice(0, firstActive + 1);
+  const monthlyUsage = activeHistory.map(month => month.dataUsed);
+
+  const averageMonthlyUsage = monthlyUsage.length > 0 ? round(mean(monthlyUsage)) : 0;
+  const usageTrend = classifyTrend([...monthlyUsage].reverse());
+  const projection = projectCycleUsage(current, dailyUsage, now);
+  const peakWindow = detectPeakWindow(hourOfDayUsage);
+  const planRecommendation = recommendPlan(plan, plans, {
+    projectedUsage: projection.projectedUsage,
+    averageMonthlyUsage,
+    monthsOfHistory: activeHistory.length
+  });
+
+  return {
+    currentMonth: current,
+    lastMonth: history[0] || null,
+    averageMonthlyUsage,
+    totalDataUsed: round(monthlyUsage.reduce((total, usage) => total + usage, 0)),
+    usageTrend,
+    trendMonths: activeHistory.length,
+    projectedUsage: projection.projectedUsage,
+    projectionMethod: projection.method,
+    peakUsageWindow: peakWindow,
+    planRecommendation,
+    recommendations: buildRecommendations({ current, projection, peakWindow, planRecommendation, usageTrend })
+  };
+};
+
+module.exports = {
+  getUsageSummary,
+  classifyTrend,
+  projectCycleUsage,
+  detectPeakWindow,
+  recommendPlan
+};
@@ -0,0 +1,121 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const { toGB } = require('./usage');
+
+const PERIOD_FORMATS = {
+  daily: '%Y-%m-%d',
+  monthly: '%Y-%m'
+};
+
+const CSV_COLUMNS = ['period', 'downloadBytes', 'uploadBytes', 'totalBytes', 'totalGB'];
+
+// Rows in period order, read through a cursor so large ranges aren't loaded
+// into memory
+const createRowCursor = ({ userId, from, to, granularity }) => {
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    hour: { $gte: from, $lt: to }
+  };
+
+  if (granularity === 'hourly') {
+    return UsageRecord.find(match)
+      .sort({ hour: 1 })
+      .select('hour downloadBytes uploadBytes')
+      .lean()
+      .cursor({ batchSize: 500 });
+  }
+
+  return UsageRecord.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: PERIOD_FORMATS[granularity], date: '$hour' } },
+        downloadBytes: { $sum: '$downloadBytes' },
+        uploadBytes: { $sum: '$uploadBytes' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]).cursor({ batchSize: 500 });
+};
+
+const toRow = (doc, granularity) => {
+  const totalBytes = doc.downloadBytes + doc.uploadBytes;
+
+  return {
+    period: granularity === 'hourly' ? doc.hour.toISOString() : doc._id,
+    downloadBytes: doc.downloadBytes,
+    uploadBytes: doc.uploadBytes,
+    totalBytes,
+    totalGB: toGB(totalBytes)
+  };
+};
+
+// Write respecting backpressure so a slow client doesn't buffer the export.
+// Rejects when the response closes instead, so a client that disconnects
+// while the buffer is full doesn't leave the export waiting forever.
+const write = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('Response closed');
+  }
+
+  if (!res.write(chunk)) {
+    const controller = new AbortController();
+    const onClose = () => controller.abort();
+    res.once('close', onClose);
+
+    try {
+      await once(res, 'drain', { signal: controller.signal });
+    } finally {
+      res.off('close', onClose);
+    }
+  }
+};
+
+// Stream a user's usage between two dates as CSV or a JSON array
+const streamUsageExport = async (req, res, { userId, from, to, granularity, format }) => {
+  const cursor = createRowCursor({ userId, from, to, granularity });
+  let aborted = false;
+
+  req.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  const filename = `usage-${granularity}-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.${format}`;
+  res.status(200);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    let first = true;
+    await write(res, format === 'csv' ? `${CSV_COLUMNS.join(',')}\n` : '[');
+
+    for await (const doc of cursor) {
+      if (aborted) return;
+
+      const row = toRow(doc, granularity);
+      await write(res, format === 'csv'
+        ? `${CSV_COLUMNS.map(column => row[column]).join(',')}\n`
+        : `${first ? '' : ','}\n${JSON.stringify(row)}`);
+      first = false;
+    }
+
+    if (format === 'json') {
+      await write(res, first ? ']' : '\n]');
+    }
+    res.end();
+  } catch (error) {
+    cursor.close().catch(() => {});
+    if (aborted || res.destroyed) return;
+    // Headers are already sent, so the only option is to cut the response
+    console.error('Usage export stream error:', error);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  streamUsageExport
+};
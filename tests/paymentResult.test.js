@@ -0,0 +1,159 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const paynowProvider = require('../services/payments/paynowProvider');
+const billRoutes = require('../routes/bills');
+
+const INTEGRATION_KEY = 'test-integration-key';
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/bills', billRoutes);
+
+const sign = (values, key = INTEGRATION_KEY) => ({
+  ...values,
+  hash: paynowProvider.createHash(values, key)
+});
+
+const postResult = (values) => request(app)
+  .post('/api/bills/payments/result')
+  .type('form')
+  .send(values);
+
+describe('POST /api/bills/payments/result', () => {
+  let payment;
+  let billId;
+
+  const resultFor = (overrides = {}) => sign({
+    reference: payment.reference,
+    amount: payment.amount.toFixed(2),
+    paynowreference: '1234567',
+    status: 'Paid',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    process.env.PAYNOW_INTEGRATION_ID = '1234';
+    process.env.PAYNOW_INTEGRATION_KEY = INTEGRATION_KEY;
+
+    billId = new mongoose.Types.ObjectId();
+    payment = new Payment({
+      user: new mongoose.Types.ObjectId(),
+      bill: billId,
+      amount: 25,
+      paymentMethod: 'paynow',
+      reference: 'FR-2025-001-AB12CD',
+      status: 'pending',
+      provider: 'paynow'
+    });
+
+    jest.spyOn(Payment, 'findOne').mockImplementation(async ({ reference }) => (
+      reference === payment.reference ? payment : null
+    ));
+    jest.spyOn(Payment, 'findById').mockImplementation(async () => payment);
+    // Only a pending payment can move on, as with the real status filter
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (payment.status !== filter.status) return null;
+      payment = new Payment({ ...payment.toObject(), ...update });
+      return payment;
+    });
+    jest.spyOn(Bill, 'findByIdAndUpdate').mockImplementation(async (id, update) => ({ _id: id, ...update }));
+    jest.spyOn(Subscription, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PAYNOW_INTEGRATION_ID;
+    delete process.env.PAYNOW_INTEGRATION_KEY;
+  });
+
+  it('marks the payment and its bill paid', async () => {
+    const res = await postResult(resultFor());
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('paid');
+    expect(payment.providerReference).toBe('1234567');
+    expect(payment.processedAt).toBeInstanceOf(Date);
+    expect(Bill.findByIdAndUpdate).toHaveBeenCalledWith(
+      billId,
+      expect.objectContaining({ status: 'paid' }),
+      { new: true }
+    );
+  });
+
+  it('fails a paid result for the wrong amount without settling the bill', async () => {
+    const res = await postResult(resultFor({ amount: '1.00' }));
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('failed');
+    expect(payment.failureReason).toBe('Provider reported 1 but 25 was expected');
+    expect(Bill.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('records a cancelled payment without settling the bill', async () => {
+    const res = await postResult(resultFor({ status: 'Cancelled' }));
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('cancelled');
+    expect(payment.failureReason).toBe('Provider status: Cancelled');
+    expect(Bill.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('leaves the payment pending while Paynow is still waiting', async () => {
+    const res = await postResult(resultFor({ status: 'Sent' }));
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('pending');
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects a result with an invalid hash', async () => {
+    const res = await postResult({ ...resultFor({ amount: '0.01' }), amount: '25.00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid payment result');
+    expect(payment.status).toBe('pending');
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects a result signed with another integration key', async () => {
+    const res = await postResult(sign({
+      reference: payment.reference,
+      amount: '25.00',
+      status: 'Paid'
+    }, 'someone-elses-key'));
+
+    expect(res.status).toBe(400);
+    expect(payment.status).toBe('pending');
+  });
+
+  it('returns 404 for an unknown reference', async () => {
+    const res = await postResult(resultFor({ reference: 'FR-2025-999-XXXXXX' }));
+
+    expect(res.status).toBe(404);
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('ignores a repeated result once the payment is final', async () => {
+    await postResult(resultFor());
+    const res = await postResult(resultFor({ status: 'Cancelled' }));
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('paid');
+    expect(Payment.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Bill.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('settles the bill only once when another callback got there first', async () => {
+    Payment.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    const res = await postResult(resultFor());
+
+    expect(res.status).toBe(200);
+    expect(Bill.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+const paynowProvider = require('../services/payments/paynowProvider');
+
+const INTEGRATION_KEY = 'test-integration-key';
+
+const sign = (values, key = INTEGRATION_KEY) => ({
+  ...values,
+  hash: paynowProvider.createHash(values, key)
+});
+
+const resultValues = (overrides = {}) => ({
+  reference: 'FR-2025-001-AB12CD',
+  amount: '25.00',
+  paynowreference: '1234567',
+  pollurl: 'https://www.paynow.co.zw/Interface/CheckPayment/?guid=abc',
+  status: 'Paid',
+  ...overrides
+});
+
+describe('paynowProvider.parseResult', () => {
+  beforeEach(() => {
+    process.env.PAYNOW_INTEGRATION_ID = '1234';
+    process.env.PAYNOW_INTEGRATION_KEY = INTEGRATION_KEY;
+  });
+
+  afterEach(() => {
+    delete process.env.PAYNOW_INTEGRATION_ID;
+    delete process.env.PAYNOW_INTEGRATION_KEY;
+  });
+
+  it('accepts a correctly signed result', () => {
+    expect(paynowProvider.parseResult(sign(resultValues()))).toEqual({
+      reference: 'FR-2025-001-AB12CD',
+      providerReference: '1234567',
+      amount: 25,
+      pollUrl: 'https://www.paynow.co.zw/Interface/CheckPayment/?guid=abc',
+      status: 'paid',
+      providerStatus: 'Paid'
+    });
+  });
+
+  it('accepts a lower-case hash', () => {
+    const values = sign(resultValues());
+    values.hash = values.hash.toLowerCase();
+
+    expect(paynowProvider.parseResult(values).status).toBe('paid');
+  });
+
+  it('rejects a result changed after it was signed', () => {
+    const values = { ...sign(resultValues({ amount: '0.01' })), amount: '25.00' };
+
+    expect(() => paynowProvider.parseResult(values)).toThrow('Invalid Paynow hash');
+  });
+
+  it('rejects a result signed with another integration key', () => {
+    const values = sign(resultValues(), 'someone-elses-key');
+
+    expect(() => paynowProvider.parseResult(values)).toThrow('Invalid Paynow hash');
+  });
+
+  it('rejects a result without a hash', () => {
+    expect(() => paynowProvider.parseResult(resultValues())).toThrow('Invalid Paynow hash');
+    expect(() => paynowProvider.parseResult(undefined)).toThrow('Invalid Paynow hash');
+  });
+
+  it('maps Paynow statuses onto payment statuses', () => {
+    const statusOf = (status) => paynowProvider.parseResult(sign(resultValues({ status }))).status;
+
+    expect(statusOf('Awaiting Delivery')).toBe('paid');
+    expect(statusOf('Cancelled')).toBe('cancelled');
+    expect(statusOf('Refunded')).toBe('failed');
+    expect(statusOf('Sent')).toBe('pending');
+    expect(statusOf('Something new')).toBe('pending');
+  });
+
+  it('refuses to verify results without integration credentials', () => {
+    delete process.env.PAYNOW_INTEGRATION_KEY;
+
+    expect(() => paynowProvider.parseResult(sign(resultValues()))).toThrow(
+      'Paynow integration credentials are not configured'
+    );
+  });
+});
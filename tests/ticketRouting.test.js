@@ -0,0 +1,126 @@
+jest.mock('../services/permissions', () => ({
+  hasPermission: jest.fn(async () => true),
+  getRolesWithPermission: jest.fn(async () => ['admin', 'support'])
+}));
+
+const mongoose = require('mongoose');
+const SupportTicket = require('../models/SupportTicket');
+const AgentProfile = require('../models/AgentProfile');
+const AssignmentRule = require('../models/AssignmentRule');
+const { routeTicket } = require('../services/ticketRouting');
+
+// Let other routing calls run between each database step
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('routeTicket', () => {
+  let saved;
+  let locks;
+
+  const createAgent = (maxOpenTickets) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: { _id: new mongoose.Types.ObjectId() },
+    skills: [],
+    getMaxOpenTickets: () => maxOpenTickets
+  });
+
+  const createTicket = () => new SupportTicket({
+    user: new mongoose.Types.ObjectId(),
+    subject: 'No internet since morning',
+    description: 'The fibre light is red and nothing loads.',
+    issueType: 'Internet Connectivity'
+  });
+
+  const openTicketsOf = (agent) => [...saved.values()]
+    .filter(ticket => String(ticket.assignedTo) === String(agent.user._id)).length;
+
+  beforeEach(() => {
+    saved = new Map();
+    locks = new Map();
+
+    jest.spyOn(AssignmentRule, 'find').mockReturnValue({ sort: async () => [] });
+    jest.spyOn(SupportTicket.prototype, 'save').mockImplementation(async function() {
+      await tick();
+      saved.set(String(this._id), { assignedTo: this.assignedTo, status: this.status });
+      return this;
+    });
+    jest.spyOn(SupportTicket, 'aggregate').mockImplementation(async ([{ $match }]) => {
+      await tick();
+      const userIds = $match.assignedTo.$in.map(String);
+      const excluded = $match._id && String($match._id.$ne);
+      const counts = new Map();
+
+      saved.forEach((ticket, id) => {
+        const userId = String(ticket.assignedTo);
+        if (id === excluded || !userIds.includes(userId)) return;
+        counts.set(userId, (counts.get(userId) || 0) + 1);
+      });
+
+      return [...counts].map(([userId, count]) => ({ _id: userId, count }));
+    });
+    jest.spyOn(AgentProfile, 'acquireAssignmentLock').mockImplementation(async (profileId, owner) => {
+      await tick();
+      if (locks.has(String(profileId))) return null;
+      locks.set(String(profileId), owner);
+      return {};
+    });
+    jest.spyOn(AgentProfile, 'releaseAssignmentLock').mockImplementation(async (profileId, owner) => {
+      if (locks.get(String(profileId)) === owner) locks.delete(String(profileId));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('assigns the least loaded agent and records the routing', async () => {
+    const busy = createAgent(5);
+    const free = createAgent(5);
+    jest.spyOn(AgentProfile, 'find').mockReturnValue({ populate: async () => [busy, free] });
+    saved.set('existing', { assignedTo: busy.user._id, status: 'open' });
+
+    const ticket = createTicket();
+    const routing = await routeTicket(ticket, null);
+
+    expect(routing.method).toBe('round_robin');
+    expect(ticket.assignedTo).toEqual(free.user._id);
+    expect(saved.get(String(ticket._id)).assignedTo).toEqual(free.user._id);
+    expect(AgentProfile.releaseAssignmentLock).toHaveBeenCalledWith(free._id, expect.any(String), routing.routedAt);
+  });
+
+  it('never pushes an agent past their cap when tickets are routed at once', async () => {
+    const agent = createAgent(2);
+    jest.spyOn(AgentProfile, 'find').mockReturnValue({ populate: async () => [agent] });
+
+    const tickets = Array.from({ length: 5 }, createTicket);
+    const routings = await Promise.all(tickets.map(ticket => routeTicket(ticket, null)));
+
+    expect(routings.filter(Boolean)).toHaveLength(2);
+    expect(openTicketsOf(agent)).toBe(2);
+    expect(tickets.filter(ticket => !ticket.assignedTo)).toHaveLength(3);
+  });
+
+  it('spreads concurrent tickets across agents up to their caps', async () => {
+    const first = createAgent(2);
+    const second = createAgent(2);
+    jest.spyOn(AgentProfile, 'find').mockReturnValue({ populate: async () => [first, second] });
+
+    const tickets = Array.from({ length: 5 }, createTicket);
+    const routings = await Promise.all(tickets.map(ticket => routeTicket(ticket, null)));
+
+    expect(routings.filter(Boolean)).toHaveLength(4);
+    expect(openTicketsOf(first)).toBe(2);
+    expect(openTicketsOf(second)).toBe(2);
+  });
+
+  it('leaves the ticket unassigned when saving it fails', async () => {
+    const agent = createAgent(2);
+    jest.spyOn(AgentProfile, 'find').mockReturnValue({ populate: async () => [agent] });
+    SupportTicket.prototype.save.mockRejectedValueOnce(new Error('write failed'));
+
+    const ticket = createTicket();
+
+    await expect(routeTicket(ticket, null)).rejects.toThrow('write failed');
+    expect(ticket.assignedTo).toBeUndefined();
+    expect(locks.size).toBe(0);
+  });
+});